@@ -99,6 +99,43 @@ describe( 'DemoFormComponent', () => {
 		done();
 	} );
 
+	it( 'should keep description pristine when initial data is normalized by the editor', () => {
+		fixture.detectChanges();
+
+		expect( component.description.value ).toEqual( '<p>A <strong>really</strong> nice fellow.</p>\n' );
+		expect( component.model.description ).toEqual( '<p>A <strong>really</strong> nice fellow.</p>\n' );
+		expect( component.description.pristine ).toBeTrue();
+	} );
+
+	it( 'should mark description as dirty when data is changed in the editor', done => {
+		whenEvent( 'dataChange', ckeditorComponent ).then( () => {
+			expect( component.description.dirty ).toBeTrue();
+			done();
+		} );
+
+		ckeditorComponent.instance.setData( '<p>An unidentified person</p>' );
+	} );
+
+	it( 'when description is disabled should make the editor read-only', () => {
+		component.description.disable();
+
+		expect( ckeditorComponent.instance.readOnly ).toBeTrue();
+
+		component.description.enable();
+
+		expect( ckeditorComponent.instance.readOnly ).toBeFalse();
+	} );
+
+	it( 'when description contains only empty markup should report required error', done => {
+		whenEvent( 'dataChange', ckeditorComponent ).then( () => {
+			fixture.detectChanges();
+			expect( component.description.hasError( 'required' ) ).toBeTrue();
+			done();
+		} );
+
+		ckeditorComponent.instance.setData( '<p>&nbsp;</p>' );
+	} );
+
 	[ {
 		newConfig: {},
 		msg: 'with undo plugin'
@@ -9,7 +9,6 @@ import { FormsModule } from '@angular/forms';
 import { By } from '@angular/platform-browser';
 
 import { DetachableComponent } from './detachable-component.component';
-import { getEditorNamespace } from 'ckeditor4-integrations-common';
 import { CKEditorModule } from '../../ckeditor/ckeditor.module';
 import { CKEditorComponent } from '../../ckeditor/ckeditor.component';
 import { whenEvent } from '../../test.tools';
@@ -9,9 +9,9 @@ import { FormsModule } from '@angular/forms';
 import { By } from '@angular/platform-browser';
 
 import { SimpleUsageComponent } from './simple-usage.component';
-import { getEditorNamespace } from 'ckeditor4-integrations-common';
 import { CKEditorModule } from '../../ckeditor/ckeditor.module';
 import { CKEditorComponent } from '../../ckeditor/ckeditor.component';
+import { loadEditorNamespace } from '../../ckeditor/ckeditor.loader';
 import { whenEvent } from '../../test.tools';
 
 import Spy = jasmine.Spy;
@@ -92,7 +92,7 @@ describe( 'SimpleUsageComponent', () => {
 		} );
 
 		it( 'should be synced with editorData property', () => {
-			return getEditorNamespace( ckeditorComponents[ 0 ].editorUrl )
+			return loadEditorNamespace( ckeditorComponents[ 0 ].editorUrl )
 				.then( CKEDITOR => {
 					component.editorData = '<p>foo</p>\n';
 
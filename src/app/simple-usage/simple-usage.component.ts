@@ -75,7 +75,7 @@ You learn to appreciate each and every single one of the differences while you b
 		console.log( `File upload responded in ${editorName.toLowerCase()} editor.` );
 	}
 
-	onNamespaceLoaded( event: CKEditor4.EventInfo, editorName: string ): void {
+	onNamespaceLoaded( namespace: CKEditor4.Namespace, editorName: string ): void {
 		console.log( `Namespace loaded by ${editorName.toLowerCase()} editor.` );
 	}
 }
@@ -0,0 +1,220 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import waitUntil from 'wait-until-promise';
+import { SimpleChange } from '@angular/core';
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { CKEditorComponent } from './ckeditor.component';
+import { CKEditorAutosaveStatus, CKEditorAutosaveStorage, CKEditorLocalAutosaveStorage } from './ckeditor.autosave';
+import { whenEvent } from '../test.tools';
+
+describe( 'CKEditorLocalAutosaveStorage', () => {
+	const storage = new CKEditorLocalAutosaveStorage();
+
+	afterEach( () => {
+		window.localStorage.removeItem( 'ckeditor4-angular-draft:foo' );
+	} );
+
+	it( 'should save, load and remove the draft', async () => {
+		expect( await storage.load( 'foo' ) ).toBeNull();
+
+		await storage.save( 'foo', '<p>bar</p>' );
+
+		expect( await storage.load( 'foo' ) ).toEqual( '<p>bar</p>' );
+
+		await storage.remove( 'foo' );
+
+		expect( await storage.load( 'foo' ) ).toBeNull();
+	} );
+} );
+
+describe( 'CKEditorComponent with autosave', () => {
+	let fixture: ComponentFixture<CKEditorComponent>,
+		component: CKEditorComponent,
+		drafts: { [ key: string ]: string },
+		storage: CKEditorAutosaveStorage,
+		statuses: CKEditorAutosaveStatus[];
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ CKEditorComponent ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( () => {
+		drafts = {};
+		statuses = [];
+		storage = {
+			load: key => Promise.resolve( drafts[ key ] === undefined ? null : drafts[ key ] ),
+			save: ( key, data ) => Promise.resolve( void ( drafts[ key ] = data ) ),
+			remove: key => Promise.resolve( void delete drafts[ key ] )
+		};
+
+		fixture = TestBed.createComponent( CKEditorComponent );
+		component = fixture.componentInstance;
+		component.data = '<p>foo</p>';
+		component.autosave = { key: 'article', storage, interval: 100 };
+		component.autosaveStatus.subscribe( ( status: CKEditorAutosaveStatus ) => statuses.push( status ) );
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should save the draft after the change', async () => {
+		fixture.detectChanges();
+		await whenEvent( 'ready', component );
+
+		component.instance.setData( '<p>bar</p>' );
+		component.instance.fire( 'change' );
+
+		await waitUntil( () => drafts.article, 1000 );
+
+		expect( drafts.article ).toEqual( '<p>bar</p>\n' );
+		expect( statuses ).toEqual( [ 'saving', 'saved' ] );
+	} );
+
+	it( 'should save the draft when the editor is blurred', async () => {
+		fixture.detectChanges();
+		await whenEvent( 'ready', component );
+
+		component.instance.setData( '<p>bar</p>' );
+		component.instance.fire( 'blur' );
+
+		await waitUntil( () => drafts.article, 1000 );
+
+		expect( drafts.article ).toEqual( '<p>bar</p>\n' );
+	} );
+
+	it( 'should not save the unchanged initial data', async () => {
+		fixture.detectChanges();
+		await whenEvent( 'ready', component );
+
+		component.instance.fire( 'blur' );
+		await component.saveDraft();
+
+		expect( drafts.article ).toBeUndefined();
+		expect( statuses ).toEqual( [] );
+	} );
+
+	it( 'should save the draft of the recreated editor once', async () => {
+		fixture.detectChanges();
+		await whenEvent( 'ready', component );
+
+		component.config = { height: 300 };
+		component.ngOnChanges( { config: new SimpleChange( undefined, component.config, false ) } );
+		await whenEvent( 'recreated', component );
+
+		component.instance.setData( '<p>bar</p>' );
+		component.instance.fire( 'change' );
+		component.instance.fire( 'blur' );
+
+		await waitUntil( () => drafts.article, 1000 );
+
+		expect( drafts.article ).toEqual( '<p>bar</p>\n' );
+		expect( statuses ).toEqual( [ 'saving', 'saved' ] );
+	} );
+
+	it( 'should use the new options when the autosave input changes', async () => {
+		drafts.other = '<p>baz</p>';
+
+		fixture.detectChanges();
+		await whenEvent( 'ready', component );
+
+		component.instance.setData( '<p>bar</p>' );
+		component.instance.fire( 'change' );
+
+		const previousOptions = component.autosave;
+
+		component.autosave = { key: 'other', storage, interval: 100 };
+		component.ngOnChanges( { autosave: new SimpleChange( previousOptions, component.autosave, false ) } );
+
+		const draft = await whenEvent( 'draftRestored', component );
+
+		expect( drafts.article ).toEqual( '<p>bar</p>\n' );
+		expect( draft ).toEqual( '<p>baz</p>' );
+		expect( component.instance.getData() ).toEqual( '<p>baz</p>\n' );
+	} );
+
+	it( 'should emit the failed status when the draft could not be saved', async () => {
+		storage.save = () => Promise.reject( new Error( 'Quota exceeded.' ) );
+
+		fixture.detectChanges();
+		await whenEvent( 'ready', component );
+
+		component.instance.setData( '<p>bar</p>' );
+		await component.saveDraft();
+
+		expect( statuses ).toEqual( [ 'saving', 'failed' ] );
+	} );
+
+	it( 'should use the save function', async () => {
+		const saveSpy = jasmine.createSpy( 'save' ).and.returnValue( Promise.resolve() );
+
+		component.autosave = { key: 'article', storage: saveSpy };
+
+		fixture.detectChanges();
+		await whenEvent( 'ready', component );
+
+		component.instance.setData( '<p>bar</p>' );
+		await component.saveDraft();
+
+		expect( saveSpy ).toHaveBeenCalledOnceWith( '<p>bar</p>\n', 'article' );
+	} );
+
+	it( 'should restore the draft different than the bound data', async () => {
+		const changeSpy = jasmine.createSpy( 'onChange' );
+
+		drafts.article = '<p>bar</p>';
+		component.registerOnChange( changeSpy );
+
+		fixture.detectChanges();
+
+		const draft = await whenEvent( 'draftRestored', component );
+
+		expect( draft ).toEqual( '<p>bar</p>' );
+		expect( component.instance.getData() ).toEqual( '<p>bar</p>\n' );
+		expect( changeSpy ).toHaveBeenCalledWith( '<p>bar</p>\n' );
+	} );
+
+	it( 'should remove the draft rejected by the restore callback', async () => {
+		const restoreSpy = jasmine.createSpy( 'restore' ).and.returnValue( false );
+
+		drafts.article = '<p>bar</p>';
+		component.autosave = { key: 'article', storage, restore: restoreSpy };
+
+		fixture.detectChanges();
+		await whenEvent( 'ready', component );
+		await waitUntil( () => !drafts.article, 1000 );
+
+		expect( restoreSpy ).toHaveBeenCalledOnceWith( '<p>bar</p>', '<p>foo</p>\n' );
+		expect( component.instance.getData() ).toEqual( '<p>foo</p>\n' );
+	} );
+
+	it( 'should emit the error when the draft could not be restored', async () => {
+		const failure = new Error( 'Storage unavailable.' );
+
+		storage.load = () => Promise.reject( failure );
+
+		fixture.detectChanges();
+
+		const error: any = await whenEvent( 'error', component );
+
+		expect( error.phase ).toEqual( 'restore' );
+		expect( error.cause ).toBe( failure );
+		expect( component.instance.getData() ).toEqual( '<p>foo</p>\n' );
+	} );
+
+	it( 'should remove the draft with clearDraft()', async () => {
+		drafts.article = '<p>foo</p>\n';
+
+		fixture.detectChanges();
+		await whenEvent( 'ready', component );
+		await component.clearDraft();
+
+		expect( drafts.article ).toBeUndefined();
+	} );
+} );
@@ -0,0 +1,309 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { CKEditor4 } from './ckeditor';
+
+/**
+ * The storage of the drafts saved by the autosave, see `CKEditorAutosaveOptions#storage`.
+ */
+export interface CKEditorAutosaveStorage {
+	/**
+	 * Returns the draft stored with the given key or `null` if there's no draft.
+	 */
+	load( key: string ): Promise<string | null>;
+
+	save( key: string, data: string ): Promise<void>;
+
+	remove( key: string ): Promise<void>;
+}
+
+/**
+ * The function saving the editor data, e.g. sending it to the server. Drafts saved this way aren't restored.
+ */
+export type CKEditorAutosaveFunction = ( data: string, key: string ) => Promise<unknown>;
+
+/**
+ * The state of the autosave, see `CKEditorComponent#autosaveStatus`.
+ */
+export type CKEditorAutosaveStatus = 'saving' | 'saved' | 'failed';
+
+/**
+ * Options of the editor autosave, see `CKEditorComponent#autosave`.
+ */
+export interface CKEditorAutosaveOptions {
+	/**
+	 * The key of the draft. Must be unique for each editor, e.g. `article-${ id }-body`.
+	 */
+	key: string;
+
+	/**
+	 * The storage of the drafts: `localStorage` (default), `indexedDB`, a custom storage or a save function.
+	 */
+	storage?: 'localStorage' | 'indexedDB' | CKEditorAutosaveStorage | CKEditorAutosaveFunction;
+
+	/**
+	 * The time in milliseconds after the change in which the data is saved. The data is saved at most once
+	 * within that time while the user types. Defaults to `2000`.
+	 */
+	interval?: number;
+
+	/**
+	 * Whether the data is saved immediately when the editor is blurred. Defaults to `true`.
+	 */
+	saveOnBlur?: boolean;
+
+	/**
+	 * Whether the data is saved immediately when the page is hidden, e.g. the tab is switched or closed. Defaults to `true`.
+	 */
+	saveOnHide?: boolean;
+
+	/**
+	 * Whether the stored draft is restored when the editor is created, if it differs from the editor data.
+	 * A function can be passed to ask the user, e.g. `draft => confirm( 'Restore the unsaved changes?' )`. Defaults to `true`.
+	 */
+	restore?: boolean | ( ( draft: string, data: string ) => boolean | Promise<boolean> );
+}
+
+const STORAGE_PREFIX = 'ckeditor4-angular-draft:';
+
+/**
+ * The storage keeping the drafts in `window.localStorage`.
+ */
+export class CKEditorLocalAutosaveStorage implements CKEditorAutosaveStorage {
+	load( key: string ): Promise<string | null> {
+		return new Promise( resolve => resolve( window.localStorage.getItem( STORAGE_PREFIX + key ) ) );
+	}
+
+	save( key: string, data: string ): Promise<void> {
+		return new Promise( resolve => resolve( window.localStorage.setItem( STORAGE_PREFIX + key, data ) ) );
+	}
+
+	remove( key: string ): Promise<void> {
+		return new Promise( resolve => resolve( window.localStorage.removeItem( STORAGE_PREFIX + key ) ) );
+	}
+}
+
+/**
+ * The storage keeping the drafts in IndexedDB, useful for large contents.
+ */
+export class CKEditorIndexedDBAutosaveStorage implements CKEditorAutosaveStorage {
+	private _database: Promise<IDBDatabase> | null = null;
+
+	constructor( private databaseName = 'ckeditor4-angular', private storeName = 'drafts' ) {}
+
+	load( key: string ): Promise<string | null> {
+		return this.request( 'readonly', store => store.get( key ) ).then( data => data === undefined ? null : data );
+	}
+
+	save( key: string, data: string ): Promise<void> {
+		return this.request( 'readwrite', store => store.put( data, key ) ).then( () => undefined );
+	}
+
+	remove( key: string ): Promise<void> {
+		return this.request( 'readwrite', store => store.delete( key ) ).then( () => undefined );
+	}
+
+	private request( mode: IDBTransactionMode, createRequest: ( store: IDBObjectStore ) => IDBRequest ): Promise<any> {
+		return this.open().then( database => new Promise( ( resolve, reject ) => {
+			const request = createRequest( database.transaction( this.storeName, mode ).objectStore( this.storeName ) );
+
+			request.onsuccess = () => resolve( request.result );
+			request.onerror = () => reject( request.error );
+		} ) );
+	}
+
+	private open(): Promise<IDBDatabase> {
+		if ( !this._database ) {
+			this._database = new Promise( ( resolve, reject ) => {
+				const request = window.indexedDB.open( this.databaseName, 1 );
+
+				request.onupgradeneeded = () => request.result.createObjectStore( this.storeName );
+				request.onsuccess = () => resolve( request.result );
+				request.onerror = () => reject( request.error );
+			} );
+		}
+
+		return this._database;
+	}
+}
+
+/**
+ * Saves the editor data according to `CKEditorAutosaveOptions`. Used by `CKEditorComponent`.
+ */
+export class CKEditorAutosave {
+	private _storage: CKEditorAutosaveStorage;
+
+	private _editor: CKEditor4.Editor | null = null;
+
+	private _lastSavedData: string | null = null;
+
+	private _timeoutId: ReturnType<typeof setTimeout> | null = null;
+
+	/**
+	 * Set while the draft is being restored, so it isn't overwritten by the initial editor data.
+	 */
+	private _isRestoring = false;
+
+	private _visibilityListener = this.onVisibilityChange.bind( this );
+
+	private _editorListeners: CKEditor4.ListenerRegistration[] = [];
+
+	constructor( private options: CKEditorAutosaveOptions, private onStatusChange: ( status: CKEditorAutosaveStatus ) => void ) {
+		this._storage = createStorage( options.storage );
+
+		if ( options.saveOnHide !== false ) {
+			document.addEventListener( 'visibilitychange', this._visibilityListener );
+		}
+	}
+
+	/**
+	 * Starts saving the data of the given editor instead of the previously attached one.
+	 * The current editor data is considered saved, so it's attached once the initial data is set.
+	 */
+	attach( editor: CKEditor4.Editor ): void {
+		this.detach();
+
+		// The pending save stores the changes of the previous editor, e.g. the recreated one.
+		if ( this._timeoutId === null ) {
+			this._lastSavedData = editor.getData();
+		}
+
+		this._editor = editor;
+		this._editorListeners.push( editor.on( 'change', () => this.scheduleSave() ) );
+
+		if ( this.options.saveOnBlur !== false ) {
+			this._editorListeners.push( editor.on( 'blur', () => this.save() ) );
+		}
+	}
+
+	/**
+	 * Returns the stored draft which should replace the given data, or `null` if there's no such draft.
+	 */
+	restore( data: string ): Promise<string | null> {
+		const restore = this.options.restore === undefined ? true : this.options.restore;
+
+		if ( !restore ) {
+			return Promise.resolve( null );
+		}
+
+		this._isRestoring = true;
+
+		return this._storage.load( this.options.key ).then( draft => {
+			if ( draft === null || draft === data ) {
+				return null;
+			}
+
+			return Promise.resolve( typeof restore === 'function' ? restore( draft, data ) : true ).then( confirmed => {
+				if ( !confirmed ) {
+					// Don't ask again about the rejected draft.
+					return this._storage.remove( this.options.key ).then( () => null );
+				}
+
+				this._lastSavedData = draft;
+
+				return draft;
+			} );
+		} ).then( draft => {
+			this._isRestoring = false;
+
+			return draft;
+		}, err => {
+			this._isRestoring = false;
+
+			throw err;
+		} );
+	}
+
+	/**
+	 * Saves the editor data if it has changed since the last save.
+	 */
+	save(): Promise<void> {
+		this.cancelScheduledSave();
+
+		const data = this._editor && this._editor.status !== 'destroyed' && !this._isRestoring ? this._editor.getData() : null;
+
+		if ( data === null || data === this._lastSavedData ) {
+			return Promise.resolve();
+		}
+
+		this._lastSavedData = data;
+		this.onStatusChange( 'saving' );
+
+		return this._storage.save( this.options.key, data ).then( () => {
+			this.onStatusChange( 'saved' );
+		}, () => {
+			// Try again with the next save.
+			this._lastSavedData = null;
+			this.onStatusChange( 'failed' );
+		} );
+	}
+
+	/**
+	 * Removes the stored draft, e.g. once the data has been submitted.
+	 */
+	clear(): Promise<void> {
+		this.cancelScheduledSave();
+
+		return this._storage.remove( this.options.key );
+	}
+
+	/**
+	 * Saves the pending changes and stops saving the editor data.
+	 */
+	destroy(): void {
+		if ( this._timeoutId !== null ) {
+			this.save();
+		}
+
+		document.removeEventListener( 'visibilitychange', this._visibilityListener );
+
+		// The editor may be reused by another component, see `CKEditorPool`.
+		this.detach();
+	}
+
+	private detach(): void {
+		this._editorListeners.forEach( listener => listener.removeListener() );
+		this._editorListeners = [];
+		this._editor = null;
+	}
+
+	private scheduleSave(): void {
+		// Changes don't postpone the scheduled save, so the data is saved regularly while the user types.
+		if ( this._timeoutId === null ) {
+			this._timeoutId = setTimeout( () => this.save(), this.options.interval === undefined ? 2000 : this.options.interval );
+		}
+	}
+
+	private cancelScheduledSave(): void {
+		clearTimeout( this._timeoutId );
+		this._timeoutId = null;
+	}
+
+	private onVisibilityChange(): void {
+		if ( document.visibilityState === 'hidden' ) {
+			this.save();
+		}
+	}
+}
+
+function createStorage( storage: CKEditorAutosaveOptions[ 'storage' ] = 'localStorage' ): CKEditorAutosaveStorage {
+	if ( storage === 'localStorage' ) {
+		return new CKEditorLocalAutosaveStorage();
+	}
+
+	if ( storage === 'indexedDB' ) {
+		return new CKEditorIndexedDBAutosaveStorage();
+	}
+
+	if ( typeof storage === 'function' ) {
+		return {
+			load: () => Promise.resolve( null ),
+			save: ( key, data ) => storage( data, key ).then( () => undefined ),
+			remove: () => Promise.resolve()
+		};
+	}
+
+	return storage;
+}
@@ -0,0 +1,1887 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import {
+	Directive,
+	NgZone,
+	Input,
+	Output,
+	EventEmitter,
+	ElementRef,
+	Injector,
+	Inject,
+	Optional,
+	ContentChildren,
+	QueryList,
+	SimpleChanges,
+	ChangeDetectorRef,
+	PLATFORM_ID,
+	Signal,
+	WritableSignal,
+	effect,
+	signal,
+	untracked,
+	AfterViewInit, OnChanges, OnDestroy
+} from '@angular/core';
+
+import { toSignal } from '@angular/core/rxjs-interop';
+
+import { DOCUMENT, isPlatformBrowser } from '@angular/common';
+
+import {
+	ControlValueAccessor,
+	NgControl
+} from '@angular/forms';
+
+import { DomSanitizer, SafeHtml } from '@angular/platform-browser';
+
+import { BehaviorSubject, merge, Observable, ReplaySubject, Subject } from 'rxjs';
+import { distinctUntilChanged, map, startWith, switchMap, takeUntil } from 'rxjs/operators';
+
+import { CKEditor4 } from './ckeditor';
+import { CKEditorAutosave, CKEditorAutosaveOptions, CKEditorAutosaveStatus } from './ckeditor.autosave';
+import { CKEditorButtonDirective } from './ckeditor.button.directive';
+import { CKEDITOR_DEFAULTS, CKEditorDataChangeStrategy, CKEditorDefaults } from './ckeditor.defaults';
+import { CKEDITOR_DIALOGS, replaceDialogs } from './ckeditor.dialog';
+import { CKEditorError, CKEditorErrorPhase } from './ckeditor.error';
+import { CKEditorDataFormat, getDataConverter } from './ckeditor.format';
+import { CKEditorLazyMode, whenActivated } from './ckeditor.lazy';
+import { CKEditorLoaderOptions, CKEditorLoadingState, loadEditorNamespace } from './ckeditor.loader';
+import { CKEditorPool, getPoolKey } from './ckeditor.pool';
+import { CKEditorSanitizeEvent, CKEditorSanitizer, runSanitizer, sanitizeHtml } from './ckeditor.sanitizer';
+import { CKEditorSharedSpaceComponent } from './ckeditor.shared-space.component';
+import { CKEditorUploadAdapter, useUploadAdapter } from './ckeditor.upload';
+import { addWidgets, CKEDITOR_WIDGETS } from './ckeditor.widget';
+
+declare let CKEDITOR: CKEditor4.Namespace;
+
+/**
+ * The editor event emitted with `CKEditorComponent#editorEvent` output. Can be passed as the event name
+ * or an object with the event name and the priority of the listener.
+ */
+export type CKEditorEventSubscription = string | { name: string; priority?: number };
+
+/**
+ * The editing mode of the editor, see `CKEditorBase#mode`.
+ */
+export type CKEditorMode = 'wysiwyg' | 'source';
+
+/**
+ * The selection of the editor saved with `CKEditorBase#createBookmark()`. The bookmark refers to the content
+ * by the node addresses instead of the markers inserted into it, so it can be stored as JSON and restored
+ * after the data is set again, see `CKEditorBase#restoreBookmark()`.
+ */
+export type CKEditorBookmark = CKEditor4.dom.Bookmark2[];
+
+/**
+ * The editor integration shared by `CKEditorComponent`, which creates the editor inside its own element,
+ * and `CKEditorInlineDirective`, which turns the element it's placed on into an inline editor.
+ */
+@Directive()
+export abstract class CKEditorBase implements AfterViewInit, OnChanges, OnDestroy, ControlValueAccessor {
+	/**
+	 * The configuration of the editor. It's merged over the `config` provided with `CKEditorModule.forRoot()`.
+	 * Changing it after the editor is created recreates the editor, see the `recreated` event.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_config.html
+	 * to learn more.
+	 */
+	@Input() config?: CKEditor4.Config;
+
+	/**
+	 * CKEditor 4 script url address. Script will be loaded only if CKEDITOR namespace is missing.
+	 * An array of addresses can be passed to provide fallbacks, e.g. a CDN used when the self-hosted
+	 * script can't be loaded. The addresses are tried in the given order.
+	 *
+	 * Defaults to 'https://cdn.ckeditor.com/4.21.0/standard-all/ckeditor.js'
+	 * or the `editorUrl` provided with `CKEditorModule.forRoot()`.
+	 */
+	@Input() editorUrl: string | string[] = 'https://cdn.ckeditor.com/4.21.0/standard-all/ckeditor.js';
+
+	/**
+	 * Options of loading the CKEditor 4 script: timeout, retries and Subresource Integrity hash.
+	 * They are merged over the `loader` options provided with `CKEditorModule.forRoot()`.
+	 */
+	@Input() loaderOptions?: CKEditorLoaderOptions;
+
+	/**
+	 * Tag name of the editor component.
+	 *
+	 * The default tag is `textarea`. Changing it after the editor is created recreates the editor.
+	 */
+	@Input() tagName = 'textarea';
+
+	/**
+	 * The type of the editor interface.
+	 *
+	 * By default editor interface will be initialized as `classic` editor.
+	 * You can also choose to create an editor with `inline` interface type instead.
+	 * Changing it after the editor is created recreates the editor.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/guide/dev_uitypes.html
+	 * and https://ckeditor.com/docs/ckeditor4/latest/examples/fixedui.html
+	 * to learn more.
+	 */
+	@Input() type: CKEditor4.EditorType = CKEditor4.EditorType.CLASSIC;
+
+	/**
+	 * The `<ckeditor-shared-space>` components where the editor renders its toolbar and elements path,
+	 * instead of its own (e.g. floating) UI. Changing it after the editor is created recreates the editor.
+	 */
+	@Input() sharedSpaces?: CKEditorSharedSpaceComponent | CKEditorSharedSpaceComponent[];
+
+	/**
+	 * The list of editor events emitted with the `editorEvent` output. An event can be passed as its name
+	 * or an object with the name and the priority of the listener (lower priority listeners are executed first,
+	 * the default priority is `10`), e.g.:
+	 *
+	 *		<ckeditor [editorEvents]="[ 'key', { name: 'paste', priority: 1 } ]" (editorEvent)="onEditorEvent( $event )">
+	 *
+	 * The listeners are attached once the editor is ready, so the events fired during editor initialization are not emitted.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html
+	 * to learn more about the available events.
+	 */
+	@Input() editorEvents: CKEditorEventSubscription[] = [];
+
+	/**
+	 * Defines when the changed editor data is emitted with `dataChange` event and propagated to the form control:
+	 *
+	 * * `immediate` - on each editor change (default),
+	 * * `debounce` - once the editor data hasn't changed for `dataChangeDebounce` milliseconds,
+	 * * `blur` - when the editor is blurred,
+	 * * `idle` - when the browser is idle, see https://developer.mozilla.org/en-US/docs/Web/API/Window/requestIdleCallback.
+	 *
+	 * The pending change is always emitted when the editor is blurred, the parent form is submitted
+	 * or the component is destroyed. Use `flushDataChange()` to emit it manually.
+	 * Retrieving the editor data may be slow for large documents, so other strategies than `immediate` are recommended for them.
+	 */
+	@Input() dataChangeStrategy: CKEditorDataChangeStrategy = 'immediate';
+
+	/**
+	 * The time in milliseconds used by the `debounce` data change strategy.
+	 *
+	 * Defaults to `300`.
+	 */
+	@Input() dataChangeDebounce = 300;
+
+	/**
+	 * The format of the `data` property, the form control value and the `dataChange` event:
+	 *
+	 * * `html` (default),
+	 * * `markdown` – see `markdownToHtml()` and `htmlToMarkdown()` for the supported syntax,
+	 * * `text` – each line is a paragraph of the editor, see `textDataConverter`,
+	 * * a custom `CKEditorDataConverter`.
+	 *
+	 * The editor works on the HTML converted from the data, so the content without the equivalent in the format
+	 * (e.g. underline in Markdown) is lost once the data is emitted. Set it before the data.
+	 */
+	@Input() dataFormat: CKEditorDataFormat = 'html';
+
+	/**
+	 * Saves the editor data as a draft while the user edits it and restores the draft when the editor
+	 * is created, if it differs from the bound data, e.g.:
+	 *
+	 *		<ckeditor [(ngModel)]="content" [autosave]="{ key: 'article-' + article.id }"></ckeditor>
+	 *
+	 * The draft is kept until `clearDraft()` is called, e.g. once the form is submitted.
+	 * When this input changes (e.g. the key), the pending changes are saved with the previous options
+	 * and the draft stored with the new options is restored.
+	 */
+	@Input() autosave?: CKEditorAutosaveOptions;
+
+	/**
+	 * Delays loading and creating the editor, which is useful for pages with many editors. Until then, the static preview
+	 * of the data is shown and the form control works as usual:
+	 *
+	 * * `visible` (or `true`) – the editor is created once the component is scrolled into view, focused or clicked,
+	 * * `interaction` – the editor is created once the component is focused or clicked.
+	 *
+	 * The editor created due to the interaction is focused once it's ready. Defaults to `false`.
+	 */
+	@Input() lazy: CKEditorLazyMode = false;
+
+	/**
+	 * Sanitizes the data set to the editor and emitted by the component, so it's safe regardless of the editor
+	 * configuration (e.g. Advanced Content Filter). When `true`, the default sanitizer following the Angular
+	 * `DomSanitizer` rules is used, see `sanitizeHtml()`. A custom sanitizer function can be passed instead.
+	 *
+	 * The content removed by the sanitizer is reported by the `sanitized` event. If the data couldn't be sanitized
+	 * (the sanitizer threw or the HTML kept changing), the safe fallback is used and the `error` event is emitted.
+	 */
+	@Input() sanitize: boolean | CKEditorSanitizer = false;
+
+	/**
+	 * When set to `true`, the selection of the focused editor is kept when the `data` is set, as long as the new content
+	 * has the same structure around the selection (e.g. only the text of the other paragraphs changed). Otherwise
+	 * the caret is moved to the beginning of the content as usual.
+	 */
+	@Input() preserveSelection = false;
+
+	/**
+	 * Keeps track of the editor's data.
+	 *
+	 * It's also decorated as an input which is useful when not using the ngModel.
+	 *
+	 * See https://angular.io/api/forms/NgModel to learn more.
+	 */
+	@Input() set data( data: string ) {
+		// `ngModel` writes `undefined` first, which mustn't replace the content of the inline directive element.
+		if ( data === this._data || ( data == null && this._data == null ) ) {
+			return;
+		}
+
+		// The written data overrides editor changes which were not emitted yet.
+		this.cancelDataChange();
+
+		if ( this.instance ) {
+			const bookmark = this.preserveSelection && this.instance.focusManager.hasFocus ? this.createBookmark() : null;
+
+			// The iframe editor loads the data asynchronously, so its normalization is propagated as written data too.
+			this._isWritingData = true;
+			this.instance.setData( this.toEditorData( data ), { callback: () => {
+				this._isWritingData = false;
+
+				if ( bookmark ) {
+					this.restoreBookmark( bookmark );
+				}
+			} } );
+			// Data may be changed by ACF.
+			this._data = this.getEditorData( this.instance );
+		} else {
+			this._data = data;
+		}
+
+		this._dataSubject.next( this._data );
+	}
+
+	get data(): string {
+		return this._data;
+	}
+
+	/**
+	 * The writable signal bound to the editor data, an alternative to `[(data)]` and `ngModel` in the signal-based components:
+	 *
+	 *		content = signal( '<p>Hello world!</p>' );
+	 *
+	 *		<ckeditor [dataModel]="content"></ckeditor>
+	 *
+	 * The signal value is written to the editor and the signal is set whenever the editor data changes.
+	 */
+	@Input() set dataModel( model: WritableSignal<string> | null ) {
+		this._dataModel.set( model );
+	}
+
+	get dataModel(): WritableSignal<string> | null {
+		return this._dataModel();
+	}
+
+	/**
+	 * When set to `true`, the editor becomes read-only.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#property-readOnly
+	 * to learn more.
+	 */
+	@Input() set readOnly( isReadOnly: boolean ) {
+		// Remember the state, so it can be delayed until editor initialization
+		// or restored when the form control gets enabled.
+		this._readOnly = isReadOnly;
+
+		if ( this.instance ) {
+			this.instance.setReadOnly( isReadOnly || this._disabled );
+		}
+	}
+
+	get readOnly(): boolean {
+		if ( this.instance ) {
+			return this.instance.readOnly;
+		}
+
+		return this._readOnly;
+	}
+
+	/**
+	 * The editing mode of the editor: `wysiwyg` or `source` (requires the `sourcearea` or `sourcedialog` plugin).
+	 * The mode changed by the user (e.g. with the Source button) is emitted with the `modeChange` event,
+	 * so it can be bound with `[(mode)]`. The data changes are propagated in both modes.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#method-setMode
+	 * to learn more.
+	 */
+	@Input() set mode( mode: CKEditorMode ) {
+		this._mode = mode;
+
+		if ( this.instance && this.instance.mode !== mode && hasMode( this.instance, mode ) ) {
+			this.ngZone.runOutsideAngular( () => this.instance.setMode( mode ) );
+		}
+	}
+
+	get mode(): CKEditorMode {
+		return this.instance ? this.instance.mode as CKEditorMode : this._mode;
+	}
+
+	/**
+	 * Fired when the CKEDITOR https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR.html namespace
+	 * is loaded. It only triggers once, no matter how many CKEditor 4 components are initialised.
+	 * Can be used for convenient changes in the namespace, e.g. for adding external plugins.
+	 */
+	@Output() namespaceLoaded = new EventEmitter<CKEditor4.Namespace>();
+
+	/**
+	 * Fires when the editor is ready. It corresponds with the `editor#instanceReady`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-instanceReady
+	 * event.
+	 */
+	@Output() ready = new EventEmitter<CKEditor4.EventInfo>();
+
+	/**
+	 * Fires when the editor has been recreated due to `config`, `type` or `tagName` change.
+	 * The new editor keeps the data, read-only state, undo history and (if the editor was focused) selection
+	 * of the previous one. It corresponds with the `editor#instanceReady`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-instanceReady
+	 * event of the new editor, which doesn't emit the `ready` event.
+	 */
+	@Output() recreated = new EventEmitter<CKEditor4.EventInfo>();
+
+	/**
+	 * Fires when the editor data is loaded, e.g. after calling setData()
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#method-setData
+	 * editor's method. It corresponds with the `editor#dataReady`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-dataReady event.
+	 */
+	@Output() dataReady = new EventEmitter<CKEditor4.EventInfo>();
+
+	/**
+	 * Fires when the content of the editor has changed. It corresponds with the `editor#change`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-change
+	 * event. For performance reasons this event may be called even when data didn't really changed.
+	 * Please note that this event will only be fired when `undo` plugin is loaded. If you need to
+	 * listen for editor changes (e.g. for two-way data binding), use `dataChange` event instead.
+	 */
+	@Output() change = new EventEmitter<CKEditor4.EventInfo>();
+
+	/**
+	 * Fires when the content of the editor has changed. In contrast to `change` - only emits when
+	 * data really changed thus can be successfully used with `[data]` and two way `[(data)]` binding.
+	 *
+	 * See more: https://angular.io/guide/template-syntax#two-way-binding---
+	 */
+	@Output() dataChange = new EventEmitter<string>();
+
+	/**
+	 * Fires when the editing mode of the editor has changed, see the `mode` property. It corresponds with the `editor#mode`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-mode
+	 * event.
+	 */
+	@Output() modeChange = new EventEmitter<CKEditorMode>();
+
+	/**
+	 * Fires when the native dragStart event occurs. It corresponds with the `editor#dragstart`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-dragstart
+	 * event.
+	 */
+	@Output() dragStart = new EventEmitter<CKEditor4.EventInfo<CKEditor4.DragEventData>>();
+
+	/**
+	 * Fires when the native dragEnd event occurs. It corresponds with the `editor#dragend`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-dragend
+	 * event.
+	 */
+	@Output() dragEnd = new EventEmitter<CKEditor4.EventInfo<CKEditor4.DragEventData>>();
+
+	/**
+	 * Fires when the native drop event occurs. It corresponds with the `editor#drop`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-drop
+	 * event.
+	 */
+	@Output() drop = new EventEmitter<CKEditor4.EventInfo<CKEditor4.DragEventData>>();
+
+	/**
+	 * Fires when the file loader response is received. It corresponds with the `editor#fileUploadResponse`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-fileUploadResponse
+	 * event.
+	 */
+	@Output() fileUploadResponse = new EventEmitter<CKEditor4.EventInfo<CKEditor4.FileUploadResponseEventData>>();
+
+	/**
+	 * Fires when the file loader should send XHR. It corresponds with the `editor#fileUploadRequest`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-fileUploadRequest
+	 * event.
+	 */
+	@Output() fileUploadRequest = new EventEmitter<CKEditor4.EventInfo<CKEditor4.FileUploadRequestEventData>>();
+
+	/**
+	 * Fires when the editing area of the editor is focused. It corresponds with the `editor#focus`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-focus
+	 * event.
+	 */
+	@Output() focus = new EventEmitter<CKEditor4.EventInfo>();
+
+	/**
+	 * Fires after the user initiated a paste action, but before the data is inserted.
+	 * It corresponds with the `editor#paste`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-paste
+	 * event.
+	 */
+	@Output() paste = new EventEmitter<CKEditor4.EventInfo<CKEditor4.PasteEventData>>();
+
+	/**
+	 * Fires after the `paste` event if content was modified. It corresponds with the `editor#afterPaste`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-afterPaste
+	 * event.
+	 */
+	@Output() afterPaste = new EventEmitter<CKEditor4.EventInfo<void>>();
+
+	/**
+	 * Fires for each editor event listed in the `editorEvents` input, e.g. `key`, `selectionChange`,
+	 * `afterCommandExec` or any plugin event. The listeners are run inside the Angular zone, so the event
+	 * can be canceled with `$event.cancel()` or stopped with `$event.stop()` from the template handler.
+	 */
+	@Output() editorEvent = new EventEmitter<CKEditor4.EventInfo>();
+
+	/**
+	 * Fires when the editing view of the editor is blurred. It corresponds with the `editor#blur`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-blur
+	 * event.
+	 */
+	@Output() blur = new EventEmitter<CKEditor4.EventInfo>();
+
+	/**
+	 * Fires when the `loadingState` changes.
+	 */
+	@Output() loadingStateChange = new EventEmitter<CKEditorLoadingState>();
+
+	/**
+	 * Fires when the editor script couldn't be loaded, the editor couldn't be created or the component
+	 * was destroyed before the editor was ready. The `ready` event isn't emitted in such cases.
+	 * It also fires when the dialog replacing the native one failed, the autosaved draft couldn't be restored
+	 * or the data couldn't be sanitized, see `CKEditorError#phase`.
+	 *
+	 * Errors are logged to the console if this output has no subscribers.
+	 */
+	@Output() error = new EventEmitter<CKEditorError>();
+
+	/**
+	 * Fires when the autosave starts saving the draft and when it's saved or failed, see the `autosave` property.
+	 */
+	@Output() autosaveStatus = new EventEmitter<CKEditorAutosaveStatus>();
+
+	/**
+	 * Fires with the draft restored by the autosave, see the `autosave` property.
+	 */
+	@Output() draftRestored = new EventEmitter<string>();
+
+	/**
+	 * Fires when the sanitizer removed some content from the data, see the `sanitize` property.
+	 */
+	@Output() sanitized = new EventEmitter<CKEditorSanitizeEvent>();
+
+	/**
+	 * The `<ckeditor-button>` buttons added to the editor.
+	 */
+	@ContentChildren( CKEditorButtonDirective ) buttons?: QueryList<CKEditorButtonDirective>;
+
+	/**
+	 * A callback executed when the content of the editor changes. Part of the
+	 * `ControlValueAccessor` (https://angular.io/api/forms/ControlValueAccessor) interface.
+	 *
+	 * Note: Unset unless the component uses the `ngModel`.
+	 */
+	onChange?: ( data: string ) => void;
+
+	/**
+	 * A callback executed when the editor has been blurred. Part of the
+	 * `ControlValueAccessor` (https://angular.io/api/forms/ControlValueAccessor) interface.
+	 *
+	 * Note: Unset unless the component uses the `ngModel`.
+	 */
+	onTouched?: () => void;
+
+	/**
+	 * The instance of the editor created by this component. Its type lists the known editor members only,
+	 * see `CKEditor4.Editor`.
+	 */
+	instance: CKEditor4.Editor;
+
+	/**
+	 * The state of loading the editor: `loading` until the editor is ready, `ready` afterwards
+	 * or `failed` if the editor script couldn't be loaded or the editor couldn't be created (see the `error` event).
+	 * Can be used to show a placeholder or a fallback bound to the same form control, e.g.:
+	 *
+	 *		<ckeditor #editor [(ngModel)]="content" name="content"></ckeditor>
+	 *		<p *ngIf="editor.loadingState === 'loading'">Loading the editor…</p>
+	 *		<textarea *ngIf="editor.loadingState === 'failed'" [(ngModel)]="content" name="content"></textarea>
+	 */
+	loadingState: CKEditorLoadingState = 'loading';
+
+	/**
+	 * Emits the editor once it's ready (or recreated, see the `recreated` event).
+	 * Late subscribers receive the current editor. Completes when the component is destroyed.
+	 */
+	readonly ready$: Observable<CKEditor4.Editor>;
+
+	/**
+	 * Emits the current editor data and its subsequent changes, see the `data` property.
+	 * Completes when the component is destroyed.
+	 */
+	readonly data$: Observable<string>;
+
+	/**
+	 * Emits the editor selection when it changes. It corresponds with the `editor#selectionChange`
+	 * https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-selectionChange
+	 * event.
+	 */
+	readonly selection$: Observable<CKEditor4.dom.Selection>;
+
+	/**
+	 * Emits `true` when the editor is focused and `false` when it's blurred, starting with the current state.
+	 */
+	readonly focused$: Observable<boolean>;
+
+	/**
+	 * Emits the editor read-only state, starting with the current state.
+	 */
+	readonly readOnly$: Observable<boolean>;
+
+	/**
+	 * Whether the editor is ready, see the `ready$` observable.
+	 */
+	readonly isReady: Signal<boolean>;
+
+	/**
+	 * Whether the editor is focused, see the `focused$` observable.
+	 */
+	readonly isFocused: Signal<boolean>;
+
+	/**
+	 * The read-only state of the editor, see the `readOnly$` observable. It's `false` until the editor is ready.
+	 */
+	readonly isReadOnly: Signal<boolean>;
+
+	/**
+	 * Whether the static preview of the data is shown instead of the editor. It's the case during the server-side
+	 * rendering and, on the server-rendered page, in the browser until the editor is ready. The lazy editor shows it
+	 * (even without the data) until it's activated, so there is something to focus or click to activate it.
+	 */
+	get isPreviewShown(): boolean {
+		return this.loadingState === 'loading' && ( !this._isBrowser || this._isServerRendered || this.isLazyPending );
+	}
+
+	/**
+	 * The HTML of the static preview, see `isPreviewShown`. It's sanitized with `sanitizeHtml()`, which keeps
+	 * the content styles unlike the Angular sanitizer.
+	 */
+	get previewHtml(): SafeHtml | null {
+		if ( this._previewData !== this._data ) {
+			const converter = getDataConverter( this.dataFormat );
+			const html = converter && this._data !== null ? converter.toHtml( this._data ) : this._data;
+
+			this._previewData = this._data;
+			this._previewHtml = html ? this.domSanitizer.bypassSecurityTrustHtml( sanitizeHtml( html, this.document ).html ) : null;
+		}
+
+		return this._previewHtml;
+	}
+
+	/**
+	 * Whether the lazy editor waits for the activation, see the `lazy` property.
+	 */
+	get isLazyPending(): boolean {
+		return !!this.lazy && !this._isActivated;
+	}
+
+	get isInline(): boolean {
+		return this.editorType === CKEditor4.EditorType.INLINE;
+	}
+
+	/**
+	 * The type of the created editor.
+	 */
+	protected get editorType(): CKEditor4.EditorType {
+		return this.type;
+	}
+
+	/**
+	 * The inputs which recreate the editor when changed.
+	 */
+	protected get recreatingInputs(): string[] {
+		return [ 'config', 'type', 'tagName', 'sharedSpaces' ];
+	}
+
+	/**
+	 * If the component is read–only before the editor instance is created, it remembers that state,
+	 * so the editor can become read–only once it is ready.
+	 */
+	private _readOnly: boolean = null;
+
+	/**
+	 * The mode set before the editor is ready or restored when the editor is recreated.
+	 */
+	private _mode: CKEditorMode = null;
+
+	/**
+	 * Keeps the disabled state of the form control, see `setDisabledState()`.
+	 */
+	private _disabled = false;
+
+	private _data: string = null;
+
+	private _dataModel = signal<WritableSignal<string> | null>( null );
+
+	/**
+	 * Set while the component writes the data to the editor, so the changes caused by the write
+	 * (e.g. data normalized by ACF) are propagated to the form control without marking it as dirty.
+	 */
+	private _isWritingData = false;
+
+	private _destroyed: boolean = false;
+
+	/**
+	 * Set when the editor data changed, but the change was not emitted yet due to `dataChangeStrategy`.
+	 */
+	private _hasPendingDataChange = false;
+
+	/**
+	 * Cancels the scheduled emission of the pending data change.
+	 */
+	private _cancelScheduledDataChange: ( () => void ) | null = null;
+
+	private _formSubmitListener = this.onFormSubmit.bind( this );
+
+	private _readySubject = new ReplaySubject<CKEditor4.Editor>( 1 );
+
+	private _dataSubject = new BehaviorSubject<string>( null );
+
+	private _destroySubject = new Subject<void>();
+
+	/**
+	 * The listeners attached to the editor for `editorEvents`.
+	 */
+	private _editorEventListeners: CKEditor4.ListenerRegistration[] = [];
+
+	/**
+	 * The listeners attached to the editor by the component, removed before the editor is released to `CKEditorPool`.
+	 */
+	private _editorListeners: CKEditor4.ListenerRegistration[] = [];
+
+	/**
+	 * The key of the current editor in `CKEditorPool`, or `null` if it can't be pooled.
+	 */
+	private _poolKey: string | null = null;
+
+	/**
+	 * The element the current editor is created on.
+	 */
+	private _editorElement: HTMLElement = null;
+
+	/**
+	 * The state of the previous editor restored when the editor is recreated.
+	 */
+	private _recreationState: RecreationState = null;
+
+	/**
+	 * Set when inputs requiring editor recreation change while the editor is being created.
+	 */
+	private _isRecreationPending = false;
+
+	private _autosave: CKEditorAutosave | null = null;
+
+	private _previewData: string = null;
+
+	private _previewHtml: SafeHtml | null = null;
+
+	private _isBrowser: boolean;
+
+	/**
+	 * Whether the page was rendered on the server, so the preview is upgraded to the editor, see `isPreviewShown`.
+	 */
+	private _isServerRendered: boolean;
+
+	/**
+	 * Set once the lazy editor is activated, see the `lazy` property.
+	 */
+	private _isActivated = false;
+
+	private _cancelActivation: ( () => void ) | null = null;
+
+	/**
+	 * Set when the editor should be focused once it's ready, e.g. the lazy editor activated with a click.
+	 */
+	private _focusOnReady = false;
+
+	constructor(
+		protected elementRef: ElementRef,
+		private ngZone: NgZone,
+		private injector: Injector,
+		private changeDetectorRef: ChangeDetectorRef,
+		private domSanitizer: DomSanitizer,
+		@Inject( DOCUMENT ) private document: Document,
+		@Inject( PLATFORM_ID ) platformId: object,
+		@Optional() @Inject( CKEDITOR_DEFAULTS ) private defaults: CKEditorDefaults | null
+	) {
+		this._isBrowser = isPlatformBrowser( platformId );
+		// Angular marks the root element of the server-rendered application.
+		this._isServerRendered = this._isBrowser && !!this.document.querySelector( '[ng-server-context]' );
+		this.ready$ = this._readySubject.asObservable();
+		this.data$ = this._dataSubject.pipe( distinctUntilChanged() );
+		this.selection$ = this.fromEvent<{ selection: CKEditor4.dom.Selection }>( 'selectionChange' ).pipe(
+			map( evt => evt.data.selection )
+		);
+		this.focused$ = this.fromEditorState( editor => editor.focusManager.hasFocus, {
+			focus: () => true,
+			blur: () => false
+		} );
+		this.readOnly$ = this.fromEditorState( editor => editor.readOnly, {
+			readOnly: editor => editor.readOnly
+		} );
+		this.isReady = toSignal( this.ready$.pipe( map( () => true ) ), { initialValue: false } );
+		this.isFocused = toSignal( this.focused$, { initialValue: false } );
+		this.isReadOnly = toSignal( this.readOnly$, { initialValue: false } );
+
+		// The data written by the component (e.g. normalized by ACF) and the editor changes are set to the model.
+		this._dataSubject.subscribe( data => {
+			const model = untracked( this._dataModel );
+
+			if ( model && data !== null ) {
+				model.set( data );
+			}
+		} );
+
+		// Setting the data may propagate its normalized version back to the model.
+		effect( () => {
+			const model = this._dataModel();
+			const data = model ? model() : null;
+
+			if ( model ) {
+				untracked( () => {
+					this.data = data;
+				} );
+			}
+		}, { allowSignalWrites: true } );
+
+		// Inputs are set after the component is created, so they will override the defaults.
+		// Falsy defaults are applied too, e.g. `dataChangeDebounce: 0` or `lazy: false`.
+		if ( defaults ) {
+			this.editorUrl = withDefault( defaults.editorUrl, this.editorUrl );
+			this.dataChangeStrategy = withDefault( defaults.dataChangeStrategy, this.dataChangeStrategy );
+			this.dataChangeDebounce = withDefault( defaults.dataChangeDebounce, this.dataChangeDebounce );
+			this.tagName = withDefault( defaults.tagName, this.tagName );
+			this.type = withDefault( defaults.type, this.type );
+			this.sanitize = withDefault( defaults.sanitize, this.sanitize );
+			this.dataFormat = withDefault( defaults.dataFormat, this.dataFormat );
+			this.lazy = withDefault( defaults.lazy, this.lazy );
+		}
+	}
+
+	ngAfterViewInit(): void {
+		// Only the preview is rendered on the server.
+		if ( !this._isBrowser ) {
+			return;
+		}
+
+		// The listener gets every submit on the page, `flushDataChange()` enters the zone only when there's a change to emit.
+		this.ngZone.runOutsideAngular( () => {
+			document.addEventListener( 'submit', this._formSubmitListener, true );
+		} );
+
+		this.buttons.changes.pipe( takeUntil( this._destroySubject ) ).subscribe( () => this.requestRecreation() );
+
+		this._autosave = this.createAutosave();
+
+		if ( !this.lazy ) {
+			this.loadEditor();
+
+			return;
+		}
+
+		this.ngZone.runOutsideAngular( () => {
+			this._cancelActivation = whenActivated( this.elementRef.nativeElement, this.lazy, trigger => {
+				this._isActivated = true;
+				this._focusOnReady = trigger === 'interaction';
+				this.ngZone.run( () => this.loadEditor() );
+			} );
+		} );
+	}
+
+	ngOnChanges( changes: SimpleChanges ): void {
+		if ( changes.autosave && !changes.autosave.firstChange && this._isBrowser ) {
+			this.resetAutosave();
+		}
+
+		const requiresRecreation = this.recreatingInputs.some(
+			name => changes[ name ] && !changes[ name ].firstChange
+		);
+
+		if ( !requiresRecreation ) {
+			if ( changes.editorEvents && this.instance ) {
+				this.ngZone.runOutsideAngular( () => this.subscribeEditorEvents( this.instance ) );
+			}
+
+			return;
+		}
+
+		this.requestRecreation();
+	}
+
+	ngOnDestroy(): void {
+		this._destroyed = true;
+
+		if ( this._isBrowser ) {
+			// The lazy editor which wasn't activated isn't expected to be ready.
+			if ( this.loadingState === 'loading' && !this.isLazyPending ) {
+				this.handleError( 'destroy', null );
+			}
+
+			document.removeEventListener( 'submit', this._formSubmitListener, true );
+		}
+
+		if ( this._cancelActivation ) {
+			this._cancelActivation();
+		}
+
+		// Make sure no edit is lost.
+		this.flushDataChange();
+
+		if ( this._autosave ) {
+			this._autosave.destroy();
+		}
+
+		this._destroySubject.next();
+		this._destroySubject.complete();
+		this._readySubject.complete();
+		this._dataSubject.complete();
+
+		this.ngZone.runOutsideAngular( () => {
+			if ( this.instance ) {
+				this.unsubscribe();
+
+				if ( !this.releaseEditor( this.instance ) ) {
+					this.instance.destroy();
+				}
+
+				this.instance = null;
+			}
+		} );
+	}
+
+	writeValue( value: string ): void {
+		this.data = value;
+	}
+
+	registerOnChange( callback: ( data: string ) => void ): void {
+		this.onChange = callback;
+	}
+
+	registerOnTouched( callback: () => void ): void {
+		this.onTouched = callback;
+	}
+
+	/**
+	 * Returns an observable of the given editor event. The listener is attached once the editor is ready
+	 * (and reattached when the editor is recreated) and the events are emitted inside the Angular zone.
+	 * The observable completes when the component is destroyed.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html
+	 * to learn more about the available events.
+	 */
+	fromEvent<TData = any>( eventName: string ): Observable<CKEditor4.EventInfo<TData>> {
+		return this.ready$.pipe(
+			switchMap( editor => this.fromEditorEvent<TData>( editor, eventName ) ),
+			takeUntil( this._destroySubject )
+		);
+	}
+
+	/**
+	 * Emits the pending data change delayed due to `dataChangeStrategy` setting.
+	 */
+	flushDataChange(): void {
+		if ( !this._hasPendingDataChange || !this.instance ) {
+			return;
+		}
+
+		this.ngZone.run( () => {
+			this.emitDataChange( this.instance );
+		} );
+	}
+
+	/**
+	 * Saves the draft immediately instead of waiting for the autosave, see the `autosave` property.
+	 */
+	saveDraft(): Promise<void> {
+		return this._autosave ? this._autosave.save() : Promise.resolve();
+	}
+
+	/**
+	 * Removes the draft saved by the autosave, e.g. once the form is submitted.
+	 */
+	clearDraft(): Promise<void> {
+		return this._autosave ? this._autosave.clear() : Promise.resolve();
+	}
+
+	/**
+	 * Inserts the HTML at the caret, replacing the selected content, e.g. a snippet picked from a side panel.
+	 * The HTML is sanitized like the data (see `sanitize`) and filtered by the editor's Advanced Content Filter,
+	 * unless the `unfiltered_html` mode is used. It does nothing until the editor is ready or in the source mode.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#method-insertHtml
+	 * to learn more.
+	 */
+	insertHtml( html: string, mode: 'html' | 'unfiltered_html' = 'html' ): void {
+		if ( !this.canEditSelection() ) {
+			return;
+		}
+
+		this.ngZone.runOutsideAngular( () => this.instance.insertHtml( this.sanitizeData( html, 'input' ), mode ) );
+	}
+
+	/**
+	 * Inserts the plain text at the caret, replacing the selected content. It does nothing until the editor
+	 * is ready or in the source mode.
+	 */
+	insertText( text: string ): void {
+		if ( !this.canEditSelection() ) {
+			return;
+		}
+
+		this.ngZone.runOutsideAngular( () => this.instance.insertText( text ) );
+	}
+
+	/**
+	 * Returns the HTML of the selected content, sanitized like the data (see `sanitize`).
+	 * Returns an empty string when nothing is selected.
+	 */
+	getSelectedHtml(): string {
+		if ( !this.canEditSelection() ) {
+			return '';
+		}
+
+		return this.sanitizeData( this.instance.getSelectedHtml( true ) as string || '', 'output' );
+	}
+
+	/**
+	 * Returns the text of the selected content or an empty string when nothing is selected.
+	 */
+	getSelectedText(): string {
+		const selection = this.canEditSelection() ? this.instance.getSelection() : null;
+
+		return selection ? selection.getSelectedText() : '';
+	}
+
+	/**
+	 * Saves the editor selection, so it can be restored with `restoreBookmark()`, e.g. after the focus moved
+	 * to a side panel or the data changed. Returns `null` when there's no selection (e.g. in the source mode).
+	 */
+	createBookmark(): CKEditorBookmark | null {
+		const selection = this.canEditSelection() ? this.instance.getSelection() : null;
+
+		// Normalized bookmarks don't depend on the text nodes split by the editor.
+		return selection && selection.getRanges().length ? selection.createBookmarks2( true ) : null;
+	}
+
+	/**
+	 * Focuses the editor and restores the selection saved with `createBookmark()`. Returns `false` when
+	 * the selection can't be restored, because the content around it has changed.
+	 */
+	restoreBookmark( bookmark: CKEditorBookmark ): boolean {
+		if ( !this.canEditSelection() || !bookmark || !bookmark.length ) {
+			return false;
+		}
+
+		return this.ngZone.runOutsideAngular( () => {
+			this.instance.focus();
+
+			try {
+				this.instance.getSelection().selectBookmarks( bookmark );
+			} catch ( err ) {
+				// The bookmark refers to the nodes which no longer exist.
+				return false;
+			}
+
+			return true;
+		} );
+	}
+
+	/**
+	 * Part of the `ControlValueAccessor` (https://angular.io/api/forms/ControlValueAccessor) interface.
+	 * Disabled form control makes the editor read-only.
+	 */
+	setDisabledState( isDisabled: boolean ): void {
+		this._disabled = isDisabled;
+
+		if ( this.instance ) {
+			this.instance.setReadOnly( !!this._readOnly || isDisabled );
+		}
+	}
+
+	/**
+	 * Returns the element the editor is created on.
+	 */
+	protected abstract createEditorElement(): HTMLElement;
+
+	/**
+	 * Cleans up the element returned by `createEditorElement()` once its editor is destroyed or couldn't be created.
+	 */
+	protected abstract removeEditorElement( element: HTMLElement ): void;
+
+	private loadEditor(): void {
+		const loaderOptions = { ...( this.defaults && this.defaults.loader ), ...this.loaderOptions };
+
+		loadEditorNamespace( this.editorUrl, loaderOptions, namespace => {
+			if ( this.defaults && typeof this.defaults.namespaceLoaded === 'function' ) {
+				this.defaults.namespaceLoaded( namespace );
+			}
+
+			this.namespaceLoaded.emit( namespace );
+		} ).then( () => {
+			// Check if component instance was destroyed before `ngAfterViewInit` call (#110).
+			// Here, `this.instance` is still not initialized and so additional flag is needed.
+			if ( this._destroyed ) {
+				return;
+			}
+
+			this.ngZone.runOutsideAngular( this.createEditor.bind( this ) );
+		}, err => {
+			if ( !this._destroyed ) {
+				this.handleError( 'load', err );
+			}
+		} );
+	}
+
+	private createEditor(): void {
+		// Keep the preview in place of the editor until it's ready.
+		if ( this.isPreviewShown ) {
+			this.elementRef.nativeElement.classList.add( 'ckeditor-upgrading' );
+		}
+
+		const config = this.getConfig();
+		const userInstanceReadyCallback = config.on.instanceReady;
+
+		this._poolKey = this.getPoolKey( config );
+
+		if ( this._poolKey !== null && this.reuseEditor( this._poolKey, config ) ) {
+			return;
+		}
+
+		this.setUpSharedSpaces( config );
+
+		const element = this.createEditorElement();
+
+		this._editorElement = element;
+
+		this.setUpPlugins( config );
+
+		config.on.instanceReady = evt => {
+			// The component was destroyed before the editor was ready, so nobody else will destroy it.
+			if ( this._destroyed ) {
+				evt.editor.destroy();
+
+				return;
+			}
+
+			this.initEditor( evt.editor, () => this.onEditorReady( evt, userInstanceReadyCallback ) );
+		};
+
+		try {
+			if ( this.editorType === CKEditor4.EditorType.INLINE ) {
+				CKEDITOR.inline( element, config );
+			} else {
+				CKEDITOR.replace( element, config );
+			}
+		} catch ( err ) {
+			this.removeEditorElement( element );
+
+			this.handleError( 'create', err );
+		}
+	}
+
+	/**
+	 * Binds the component to the editor and sets the component data. The callback is executed once the data is set.
+	 */
+	private initEditor( editor: CKEditor4.Editor, callback: () => void ): void {
+		this.instance = editor;
+
+		// Read only state may change during instance initialization.
+		this.readOnly = this._readOnly !== null ? this._readOnly : this.instance.readOnly;
+
+		this.subscribe( this.instance );
+
+		const undo = editor.undoManager;
+
+		if ( this.data != null ) {
+			undo && undo.lock();
+			this._isWritingData = true;
+
+			editor.setData( this.toEditorData( this.data ), { callback: () => {
+				// Locking undoManager prevents 'change' event.
+				// Trigger it manually to updated bound data.
+				if ( this.data !== this.formatData( editor.getData() ) ) {
+					undo ? editor.fire( 'change' ) : editor.fire( 'dataReady' );
+				}
+				undo && undo.unlock();
+				this._isWritingData = false;
+
+				callback();
+			} } );
+		} else {
+			callback();
+		}
+	}
+
+	/**
+	 * Takes the editor released by another component from `CKEditorPool` and resets its state, so it looks like
+	 * a newly created one. Returns `false` if there's no editor to reuse.
+	 */
+	private reuseEditor( key: string, config: Partial<CKEditor4.Config> ): boolean {
+		const pooled = this.injector.get( CKEditorPool ).acquire( key );
+
+		if ( !pooled ) {
+			return false;
+		}
+
+		const editor = pooled.editor;
+		const evt = createReadyEvent( editor );
+
+		pooled.nodes.forEach( node => this.elementRef.nativeElement.appendChild( node ) );
+		this._editorElement = editor.element.$;
+
+		const onDataReset = () => {
+			editor.resetUndo();
+			editor.resetDirty();
+			this.onEditorReady( evt );
+		};
+
+		const reset = () => {
+			if ( this._destroyed ) {
+				editor.destroy();
+
+				return;
+			}
+
+			editor.setReadOnly( !!config.readOnly );
+
+			if ( this.data != null ) {
+				this.initEditor( editor, onDataReset );
+			} else {
+				editor.setData( '', { callback: () => this.initEditor( editor, onDataReset ) } );
+			}
+		};
+
+		// Moving the iframe reloads its document, so the editable must be created again.
+		if ( hasIframe( editor ) ) {
+			editor.setMode( 'source', () => editor.setMode( 'wysiwyg', reset ) );
+		} else {
+			reset();
+		}
+
+		return true;
+	}
+
+	/**
+	 * Releases the editor to `CKEditorPool` instead of destroying it. Returns `false` if the editor can't be reused.
+	 */
+	private releaseEditor( editor: CKEditor4.Editor ): boolean {
+		const pool = this.injector.get( CKEditorPool, null );
+
+		const isReady = this.loadingState === 'ready' && editor.status === 'ready' && editor.mode === 'wysiwyg';
+
+		// The iframe is recreated by switching the modes, so the source mode is required.
+		const canReset = !hasIframe( editor ) || !!editor.plugins.sourcearea;
+
+		if ( !pool || this._poolKey === null || this._isRecreationPending || !isReady || !canReset ) {
+			return false;
+		}
+
+		editor.focusManager.blur( true );
+
+		const nodes = [ editor.element.$, editor.container.$ ].filter( ( node, index, all ) => all.indexOf( node ) === index );
+
+		return pool.release( this._poolKey, editor, nodes );
+	}
+
+	/**
+	 * Returns the key of the editor created with the given config in `CKEditorPool`, or `null` if there's no pool
+	 * or the editor is bound to the component, e.g. with its widgets or buttons.
+	 */
+	protected getPoolKey( config: Partial<CKEditor4.Config> ): string | null {
+		if ( !this.injector.get( CKEditorPool, null ) ) {
+			return null;
+		}
+
+		const { widgets, dialogs, uploadAdapter, buttons } = this.getPlugins();
+
+		if ( widgets.length || dialogs.length || uploadAdapter || buttons.length ) {
+			return null;
+		}
+
+		// The shared spaces may be destroyed with the component.
+		if ( this.getSharedSpaces().length ) {
+			return null;
+		}
+
+		return getPoolKey( this.editorType, this.tagName, config );
+	}
+
+	private setLoadingState( state: CKEditorLoadingState ): void {
+		if ( this.loadingState !== state ) {
+			this.loadingState = state;
+			this.loadingStateChange.emit( state );
+
+			// Replace the preview with the editor (or the fallback) at once.
+			if ( !this._destroyed ) {
+				this.elementRef.nativeElement.classList.remove( 'ckeditor-upgrading' );
+				this.changeDetectorRef.detectChanges();
+			}
+		}
+	}
+
+	private handleError( phase: CKEditorErrorPhase, cause: unknown ): void {
+		const error = new CKEditorError( phase, cause, this.editorUrl );
+
+		this.ngZone.run( () => {
+			// The editor works despite the failed dialog, draft restore or sanitizer.
+			if ( phase === 'load' || phase === 'create' ) {
+				this.setLoadingState( 'failed' );
+			}
+
+			if ( this.error.observed ) {
+				this.error.emit( error );
+			} else {
+				window.console.error( error, cause );
+			}
+		} );
+	}
+
+	private onEditorReady( evt: CKEditor4.EventInfo, userInstanceReadyCallback?: Function ): void {
+		if ( this._destroyed ) {
+			return;
+		}
+
+		const mode = this._mode;
+
+		// Switch to the bound mode before the editor is announced as ready.
+		if ( mode && mode !== evt.editor.mode && hasMode( evt.editor, mode ) ) {
+			evt.editor.setMode( mode, () => this.onEditorReady( evt, userInstanceReadyCallback ) );
+
+			return;
+		}
+
+		const recreationState = this._recreationState;
+
+		this._recreationState = null;
+
+		if ( recreationState ) {
+			this.restoreRecreationState( evt.editor, recreationState );
+		}
+
+		if ( this._focusOnReady ) {
+			this._focusOnReady = false;
+			evt.editor.focus();
+		}
+
+		this.ngZone.run( () => {
+			if ( typeof userInstanceReadyCallback === 'function' ) {
+				userInstanceReadyCallback( evt );
+			}
+
+			this._readySubject.next( evt.editor );
+			this.setLoadingState( 'ready' );
+
+			if ( recreationState ) {
+				this.recreated.emit( evt );
+			} else {
+				this.ready.emit( evt );
+			}
+		} );
+
+		// Attached once the initial data is set, so it isn't saved as the draft.
+		if ( this._autosave ) {
+			this._autosave.attach( evt.editor );
+		}
+
+		if ( this._isRecreationPending ) {
+			this._isRecreationPending = false;
+			this.ngZone.runOutsideAngular( () => this.recreateEditor() );
+		} else if ( this._autosave && !recreationState ) {
+			this.restoreDraft( evt.editor );
+		}
+	}
+
+	private createAutosave(): CKEditorAutosave | null {
+		if ( !this.autosave ) {
+			return null;
+		}
+
+		return new CKEditorAutosave( this.autosave, status => {
+			this.ngZone.run( () => this.autosaveStatus.emit( status ) );
+		} );
+	}
+
+	/**
+	 * Replaces the autosave once the `autosave` input changes. The pending changes are saved by the previous one.
+	 */
+	private resetAutosave(): void {
+		if ( this._autosave ) {
+			this._autosave.destroy();
+		}
+
+		this._autosave = this.createAutosave();
+
+		if ( this._autosave && this.instance ) {
+			this._autosave.attach( this.instance );
+			this.restoreDraft( this.instance );
+		}
+	}
+
+	private restoreDraft( editor: CKEditor4.Editor ): void {
+		const autosave = this._autosave;
+
+		autosave.restore( editor.getData() ).then( draft => {
+			if ( draft === null || editor !== this.instance || autosave !== this._autosave ) {
+				return;
+			}
+
+			this.ngZone.runOutsideAngular( () => {
+				// The draft is propagated to the bound data with the `dataReady` event.
+				editor.setData( this.sanitizeData( draft, 'input' ), { callback: () => {
+					this.ngZone.run( () => this.draftRestored.emit( draft ) );
+				} } );
+			} );
+		}, err => {
+			this.handleError( 'restore', err );
+		} );
+	}
+
+	/**
+	 * Destroys the editor and creates a new one using the current inputs. The data is kept by the component,
+	 * the undo history and the selection are restored once the new editor is ready.
+	 */
+	private requestRecreation(): void {
+		if ( this.instance ) {
+			this.ngZone.runOutsideAngular( () => this.recreateEditor() );
+		} else if ( this._editorElement ) {
+			// The editor is being created with outdated inputs, so recreate it once it's ready.
+			this._isRecreationPending = true;
+		}
+	}
+
+	private recreateEditor(): void {
+		this.flushDataChange();
+
+		const editor = this.instance;
+		const undo = editor.undoManager;
+		const hasFocus = editor.focusManager.hasFocus;
+		// Serializable bookmarks don't modify the content, so they can be restored in the new editor.
+		const bookmarks = hasFocus ? this.createBookmark() : null;
+
+		this._data = this.getEditorData( editor );
+		this._recreationState = {
+			hasFocus,
+			bookmarks,
+			snapshots: undo ? undo.snapshots : null,
+			snapshotIndex: undo ? undo.index : -1
+		};
+
+		this.instance = null;
+		this.unsubscribe();
+		editor.destroy( true );
+
+		if ( this._editorElement ) {
+			this.removeEditorElement( this._editorElement );
+		}
+
+		this.createEditor();
+	}
+
+	private restoreRecreationState( editor: CKEditor4.Editor, state: RecreationState ): void {
+		const undo = editor.undoManager;
+
+		if ( undo && state.snapshots && state.snapshots.length ) {
+			undo.snapshots = state.snapshots.map( snapshot => {
+				snapshot.editor = editor;
+				return snapshot;
+			} );
+			undo.index = state.snapshotIndex;
+			undo.currentImage = undo.snapshots[ undo.index ];
+			undo.refreshState();
+		}
+
+		// The content structure may differ (e.g. due to a different ACF config), so the selection may not be restored.
+		if ( state.hasFocus && !this.restoreBookmark( state.bookmarks ) ) {
+			editor.focus();
+		}
+	}
+
+	/**
+	 * The selection exists only in the WYSIWYG mode of the ready editor.
+	 */
+	private canEditSelection(): boolean {
+		return !!this.instance && this.instance.mode === 'wysiwyg';
+	}
+
+	/**
+	 * Adds the widgets registered with `provideCKEditorWidget()`, the dialogs registered with `provideCKEditorDialog()`,
+	 * the upload adapter provided with `provideCKEditorUploadAdapter()` and the `<ckeditor-button>` buttons
+	 * to the editor created with the given config.
+	 */
+	private setUpPlugins( config: Partial<CKEditor4.Config> ): void {
+		const { widgets, dialogs, uploadAdapter, buttons } = this.getPlugins();
+
+		if ( !widgets.length && !dialogs.length && !uploadAdapter && !buttons.length ) {
+			return;
+		}
+
+		const userPluginsLoadedCallback = config.on.pluginsLoaded;
+
+		if ( widgets.length ) {
+			config.extraPlugins = addToList( config.extraPlugins, [ 'widget' ] );
+		}
+
+		config.on.pluginsLoaded = evt => {
+			if ( widgets.length ) {
+				addWidgets( evt.editor, widgets, this.injector );
+			}
+
+			if ( dialogs.length ) {
+				replaceDialogs( evt.editor, dialogs, this.ngZone, err => this.handleError( 'dialog', err ) );
+			}
+
+			if ( uploadAdapter ) {
+				useUploadAdapter( evt.editor, uploadAdapter, this.ngZone );
+			}
+
+			buttons.forEach( button => button.register( evt.editor ) );
+
+			if ( typeof userPluginsLoadedCallback === 'function' ) {
+				userPluginsLoadedCallback( evt );
+			}
+		};
+	}
+
+	/**
+	 * Renders the editor UI in the `sharedSpaces` instead of the floating toolbar and the resizable bottom bar.
+	 */
+	private setUpSharedSpaces( config: Partial<CKEditor4.Config> ): void {
+		const spaces = this.getSharedSpaces();
+
+		if ( !spaces.length ) {
+			return;
+		}
+
+		config.sharedSpaces = {};
+		spaces.forEach( space => {
+			config.sharedSpaces[ space.position ] = space.id;
+		} );
+
+		config.extraPlugins = addToList( config.extraPlugins, [ 'sharedspace' ] );
+		config.removePlugins = addToList( config.removePlugins, [ 'floatingspace', 'maximize', 'resize' ] );
+	}
+
+	private getSharedSpaces(): CKEditorSharedSpaceComponent[] {
+		if ( !this.sharedSpaces ) {
+			return [];
+		}
+
+		return Array.isArray( this.sharedSpaces ) ? this.sharedSpaces : [ this.sharedSpaces ];
+	}
+
+	private getPlugins() {
+		return {
+			widgets: this.injector.get( CKEDITOR_WIDGETS, null ) || [],
+			dialogs: this.injector.get( CKEDITOR_DIALOGS, null ) || [],
+			uploadAdapter: this.injector.get( CKEditorUploadAdapter, null ),
+			buttons: this.buttons ? this.buttons.toArray() : []
+		};
+	}
+
+	/**
+	 * Merges the component `config` over the defaults provided with `CKEditorModule.forRoot()`.
+	 * The `config.on` objects are merged separately, so the default listeners are kept.
+	 */
+	private getConfig(): Partial<CKEditor4.Config> {
+		const defaultConfig: Partial<CKEditor4.Config> = {
+			delayIfDetached: true,
+			...this.defaults?.config
+		};
+
+		return {
+			...defaultConfig,
+			...this.config,
+			on: { ...defaultConfig.on, ...this.config?.on }
+		};
+	}
+
+	private subscribe( editor: CKEditor4.Editor ): void {
+		this.subscribeEditorEvents( editor );
+
+		const on = ( eventName: string, listener: CKEditor4.Listener, scopeObj?: any ) => {
+			this._editorListeners.push( editor.on( eventName, listener, scopeObj ) );
+		};
+
+		on( 'focus', evt => {
+			this.ngZone.run( () => {
+				this.focus.emit( evt );
+			} );
+		} );
+
+		on( 'paste', evt => {
+			this.ngZone.run( () => {
+				this.paste.emit( evt );
+			} );
+		} );
+
+		on( 'afterPaste', evt => {
+			this.ngZone.run( () => {
+				this.afterPaste.emit( evt );
+			} );
+		} );
+
+		on( 'dragend', evt => {
+			this.ngZone.run( () => {
+				this.dragEnd.emit( evt );
+			} );
+		});
+
+		on( 'dragstart', evt => {
+			this.ngZone.run( () => {
+				this.dragStart.emit( evt );
+			} );
+		} );
+
+		on( 'drop', evt => {
+			this.ngZone.run( () => {
+				this.drop.emit( evt );
+			} );
+		} );
+
+		on( 'fileUploadRequest', evt => {
+			this.ngZone.run( () => {
+				this.fileUploadRequest.emit(evt);
+			} );
+		} );
+
+		on( 'fileUploadResponse', evt => {
+			this.ngZone.run( () => {
+				this.fileUploadResponse.emit(evt);
+			} );
+		} );
+
+		on( 'blur', evt => {
+			this.ngZone.run( () => {
+				// Update the control before it's touched, as it may be updated on blur.
+				this.flushDataChange();
+
+				if ( this.onTouched ) {
+					this.onTouched();
+				}
+
+				this.blur.emit( evt );
+			} );
+		} );
+
+		on( 'mode', () => {
+			this.watchSourceChanges( editor );
+
+			if ( editor.mode !== this._mode ) {
+				this._mode = editor.mode as CKEditorMode;
+				this.ngZone.run( () => this.modeChange.emit( this._mode ) );
+			}
+		} );
+
+		this.watchSourceChanges( editor );
+
+		on( 'dataReady', this.propagateChange, this );
+
+		// The 'change' event is also fired for the changes made in the source mode, see `watchSourceChanges()`.
+		on( 'change', this.propagateChange, this );
+
+		// If 'undo' plugin is not loaded, listen to 'selectionCheck' event instead. (#54).
+		if ( !this.instance.undoManager ) {
+			on( 'selectionCheck', this.propagateChange, this );
+		}
+	}
+
+	/**
+	 * Fires the `change` event for the changes made in the source mode, which is fired by the undo manager
+	 * in the WYSIWYG mode only. The listener is removed with the editable once the mode changes.
+	 */
+	private watchSourceChanges( editor: CKEditor4.Editor ): void {
+		const editable = editor.editable();
+
+		if ( editor.mode === 'source' && editable ) {
+			editable.attachListener( editable, 'input', () => editor.fire( 'change' ) );
+		}
+	}
+
+	/**
+	 * Returns an observable of the editor state, which emits the current state once the editor is ready
+	 * and the state returned by the corresponding callback whenever one of the given events is fired.
+	 */
+	private fromEditorState<T>(
+		getState: ( editor: CKEditor4.Editor ) => T,
+		eventStates: { [ eventName: string ]: ( editor: CKEditor4.Editor ) => T }
+	): Observable<T> {
+		return this.ready$.pipe(
+			switchMap( editor => {
+				const states = Object.keys( eventStates ).map( eventName => this.fromEditorEvent( editor, eventName ).pipe(
+					map( () => eventStates[ eventName ]( editor ) )
+				) );
+
+				return merge( ...states ).pipe( startWith( getState( editor ) ) );
+			} ),
+			distinctUntilChanged(),
+			takeUntil( this._destroySubject )
+		);
+	}
+
+	private fromEditorEvent<TData = any>( editor: CKEditor4.Editor, eventName: string ): Observable<CKEditor4.EventInfo<TData>> {
+		return new Observable<CKEditor4.EventInfo<TData>>( subscriber => {
+			const listener = editor.on<TData>( eventName, evt => {
+				this.ngZone.run( () => subscriber.next( evt ) );
+			} );
+
+			return () => listener.removeListener();
+		} );
+	}
+
+	private subscribeEditorEvents( editor: CKEditor4.Editor ): void {
+		this.unsubscribeEditorEvents();
+
+		this._editorEventListeners = ( this.editorEvents || [] ).map( subscription => {
+			const { name, priority } = typeof subscription === 'string' ? { name: subscription, priority: undefined } : subscription;
+
+			return editor.on( name, evt => {
+				this.ngZone.run( () => {
+					this.editorEvent.emit( evt );
+				} );
+			}, null, null, priority );
+		} );
+	}
+
+	private unsubscribeEditorEvents(): void {
+		this._editorEventListeners.forEach( listener => listener.removeListener() );
+		this._editorEventListeners = [];
+	}
+
+	private unsubscribe(): void {
+		this.unsubscribeEditorEvents();
+		this._editorListeners.forEach( listener => listener.removeListener() );
+		this._editorListeners = [];
+	}
+
+	private propagateChange( event: CKEditor4.EventInfo ): void {
+		const output = event.name === 'change' ? this.change : event.name === 'dataReady' ? this.dataReady : null;
+
+		// Data written by the component and loaded with `setData()` is always propagated immediately.
+		if ( this.dataChangeStrategy === 'immediate' || this._isWritingData || event.name === 'dataReady' ) {
+			this.ngZone.run( () => {
+				if ( output ) {
+					output.emit( event );
+				}
+
+				// The component instance may already be reset while the editor is destroyed, use event editor instead.
+				this.emitDataChange( event.editor );
+			} );
+
+			return;
+		}
+
+		// Avoid running change detection on each change if nobody listens.
+		if ( output && output.observed ) {
+			this.ngZone.run( () => {
+				output.emit( event );
+			} );
+		}
+
+		this.scheduleDataChange();
+	}
+
+	private emitDataChange( editor: CKEditor4.Editor ): void {
+		this.cancelDataChange();
+
+		const newData = this.getEditorData( editor );
+
+		if ( newData === this.data ) {
+			return;
+		}
+
+		this._data = newData;
+		this._dataSubject.next( newData );
+		this.dataChange.emit( newData );
+
+		if ( this._isWritingData ) {
+			this.updateControlSilently( newData );
+		} else if ( this.onChange ) {
+			this.onChange( newData );
+		}
+	}
+
+	/**
+	 * Converts the data of `dataFormat` to the sanitized editor HTML.
+	 */
+	private toEditorData( data: string ): string {
+		const converter = getDataConverter( this.dataFormat );
+
+		return this.sanitizeData( converter && data !== null ? converter.toHtml( data ) : data, 'input' );
+	}
+
+	/**
+	 * Returns the sanitized editor data converted to `dataFormat`, as it's emitted.
+	 */
+	private getEditorData( editor: CKEditor4.Editor ): string {
+		return this.formatData( this.sanitizeData( editor.getData(), 'output' ) );
+	}
+
+	/**
+	 * Converts the editor HTML to the data of `dataFormat`.
+	 */
+	private formatData( html: string ): string {
+		const converter = getDataConverter( this.dataFormat );
+
+		return converter ? converter.fromHtml( html ) : html;
+	}
+
+	private sanitizeData( data: string, direction: CKEditorSanitizeEvent[ 'direction' ] ): string {
+		if ( !this.sanitize || data === null ) {
+			return data;
+		}
+
+		const { html, removed, error } = runSanitizer( this.sanitize === true ? sanitizeHtml : this.sanitize, data );
+
+		if ( error ) {
+			this.handleError( 'sanitize', error );
+		}
+
+		if ( removed.length && this.sanitized.observed ) {
+			this.ngZone.run( () => this.sanitized.emit( { direction, removed } ) );
+		}
+
+		return html;
+	}
+
+	/**
+	 * Flushes the pending data change before the parent form is submitted. It's registered in the capture phase,
+	 * so it's executed before the form submit handlers.
+	 */
+	private onFormSubmit( evt: Event ): void {
+		if ( evt.target instanceof Node && evt.target.contains( this.elementRef.nativeElement ) ) {
+			this.flushDataChange();
+		}
+	}
+
+	private scheduleDataChange(): void {
+		const strategy = this.dataChangeStrategy;
+
+		this._hasPendingDataChange = true;
+
+		// Subsequent changes postpone the debounced emission only.
+		if ( strategy === 'blur' || ( strategy === 'idle' && this._cancelScheduledDataChange ) ) {
+			return;
+		}
+
+		if ( this._cancelScheduledDataChange ) {
+			this._cancelScheduledDataChange();
+		}
+
+		const flush = () => {
+			this._cancelScheduledDataChange = null;
+			this.flushDataChange();
+		};
+
+		if ( strategy === 'idle' && typeof requestIdleCallback === 'function' ) {
+			const idleCallbackId = requestIdleCallback( flush );
+
+			this._cancelScheduledDataChange = () => cancelIdleCallback( idleCallbackId );
+		} else {
+			const timeoutId = setTimeout( flush, strategy === 'idle' ? 0 : this.dataChangeDebounce );
+
+			this._cancelScheduledDataChange = () => clearTimeout( timeoutId );
+		}
+	}
+
+	private cancelDataChange(): void {
+		this._hasPendingDataChange = false;
+
+		if ( this._cancelScheduledDataChange ) {
+			this._cancelScheduledDataChange();
+			this._cancelScheduledDataChange = null;
+		}
+	}
+
+	/**
+	 * Updates the bound form control and model with the data written by the component itself,
+	 * without marking the control as dirty (which `onChange` does).
+	 */
+	private updateControlSilently( data: string ): void {
+		// The control can't be injected in the constructor as it depends on this value accessor.
+		const ngControl = this.injector.get( NgControl, null, { self: true, optional: true } );
+
+		if ( !ngControl || !ngControl.control ) {
+			if ( this.onChange ) {
+				this.onChange( data );
+			}
+
+			return;
+		}
+
+		ngControl.control.setValue( data, { emitModelToViewChange: false } );
+		ngControl.viewToModelUpdate( data );
+	}
+
+}
+
+interface RecreationState {
+	hasFocus: boolean;
+	bookmarks: CKEditorBookmark | null;
+	snapshots: CKEditor4.UndoImage[] | null;
+	snapshotIndex: number;
+}
+
+/**
+ * Returns the default value if it's set, so the falsy defaults aren't ignored.
+ */
+function withDefault<T>( value: T | undefined, fallback: T ): T {
+	return value === undefined ? fallback : value;
+}
+
+/**
+ * Adds the names to the comma-separated list (or array) of the plugins.
+ */
+function addToList( list: string | string[] | undefined, names: string[] ): string {
+	const items = Array.isArray( list ) ? list : ( list || '' ).split( ',' );
+
+	return [ ...items, ...names ].filter( Boolean ).join( ',' );
+}
+
+/**
+ * Checks if the editor has the given mode, as setting an unknown mode is silently ignored.
+ */
+function hasMode( editor: CKEditor4.Editor, mode: string ): boolean {
+	return !!editor._.modes && !!editor._.modes[ mode ];
+}
+
+/**
+ * Checks if the editable of the editor is the iframe, which is reloaded when moved to another place of the document.
+ */
+function hasIframe( editor: CKEditor4.Editor ): boolean {
+	return editor.elementMode !== CKEditor4.ElementMode.INLINE && !editor.plugins.divarea;
+}
+
+/**
+ * Creates the `instanceReady` event info of the reused editor, as the event can't be fired again.
+ */
+function createReadyEvent( editor: CKEditor4.Editor ): CKEditor4.EventInfo {
+	const noop = () => {};
+
+	return {
+		name: 'instanceReady',
+		editor,
+		data: null,
+		listenerData: null,
+		sender: editor,
+		cancel: noop,
+		removeListener: noop,
+		stop: noop
+	};
+}
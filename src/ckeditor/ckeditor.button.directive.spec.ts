@@ -0,0 +1,121 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { Component, NgZone, ViewChild } from '@angular/core';
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { CKEditorModule } from './ckeditor.module';
+import { CKEditorComponent } from './ckeditor.component';
+import { CKEditorButtonState } from './ckeditor.button.directive';
+import { CKEditor4 } from './ckeditor';
+import { whenEvent } from '../test.tools';
+
+describe( 'CKEditorButtonDirective', () => {
+	@Component( {
+		selector: 'editor-with-buttons',
+		template: `
+			<ckeditor>
+				<ckeditor-button
+					name="insertSignature"
+					label="Insert signature"
+					toolbar="insert"
+					[state]="state"
+					(execute)="onExecute( $event )">
+				</ckeditor-button>
+				<ckeditor-button *ngIf="hasSecondButton" name="secondButton"></ckeditor-button>
+			</ckeditor>`
+	} )
+	class EditorWithButtonsComponent {
+		@ViewChild( CKEditorComponent ) editorComponent: CKEditorComponent;
+
+		state: CKEditorButtonState = 'off';
+
+		hasSecondButton = false;
+
+		executions: Array<{ editor: CKEditor4.Editor; isInAngularZone: boolean }> = [];
+
+		onExecute( instance: CKEditor4.Editor ): void {
+			this.executions.push( { editor: instance, isInAngularZone: NgZone.isInAngularZone() } );
+		}
+	}
+
+	let fixture: ComponentFixture<EditorWithButtonsComponent>,
+		component: EditorWithButtonsComponent,
+		editor: CKEditor4.Editor;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			declarations: [ EditorWithButtonsComponent ],
+			imports: [ CKEditorModule ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( async () => {
+		fixture = TestBed.createComponent( EditorWithButtonsComponent );
+		component = fixture.componentInstance;
+
+		fixture.detectChanges();
+
+		await whenEvent( 'ready', component.editorComponent );
+
+		editor = component.editorComponent.instance;
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should register the command and the toolbar button', () => {
+		expect( editor.getCommand( 'insertSignature' ) ).toBeTruthy();
+		expect( editor.ui.get( 'insertSignature' ).label ).toEqual( 'Insert signature' );
+		expect( fixture.nativeElement.querySelector( '.cke_button__insertsignature' ) ).toBeTruthy();
+	} );
+
+	it( 'should emit execute event inside Angular zone', () => {
+		editor.execCommand( 'insertSignature' );
+
+		expect( component.executions.length ).toEqual( 1 );
+		expect( component.executions[ 0 ].editor ).toBe( editor );
+		expect( component.executions[ 0 ].isInAngularZone ).toBeTrue();
+	} );
+
+	it( 'should reflect the state in the command', () => {
+		component.state = 'on';
+		fixture.detectChanges();
+
+		expect( editor.getCommand( 'insertSignature' ).state ).toEqual( CKEditor4.CommandState.ON );
+
+		component.state = 'disabled';
+		fixture.detectChanges();
+
+		expect( editor.getCommand( 'insertSignature' ).state ).toEqual( CKEditor4.CommandState.DISABLED );
+		expect( editor.execCommand( 'insertSignature' ) ).toBeFalse();
+		expect( component.executions.length ).toEqual( 0 );
+	} );
+
+	it( 'should restore the state when the editor is no longer read-only', () => {
+		component.state = 'on';
+		fixture.detectChanges();
+
+		editor.setReadOnly( true );
+
+		expect( editor.getCommand( 'insertSignature' ).state ).toEqual( CKEditor4.CommandState.DISABLED );
+
+		editor.setReadOnly( false );
+
+		expect( editor.getCommand( 'insertSignature' ).state ).toEqual( CKEditor4.CommandState.ON );
+	} );
+
+	it( 'should recreate the editor when buttons are added', async () => {
+		component.hasSecondButton = true;
+		fixture.detectChanges();
+
+		await whenEvent( 'recreated', component.editorComponent );
+
+		expect( component.editorComponent.instance ).not.toBe( editor );
+		expect( component.editorComponent.instance.getCommand( 'secondButton' ) ).toBeTruthy();
+		expect( component.editorComponent.instance.getCommand( 'insertSignature' ) ).toBeTruthy();
+	} );
+} );
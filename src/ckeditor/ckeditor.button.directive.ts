@@ -0,0 +1,128 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import {
+	Directive,
+	EventEmitter,
+	Input,
+	NgZone,
+	OnChanges,
+	Output,
+	SimpleChanges
+} from '@angular/core';
+
+import { CKEditor4 } from './ckeditor';
+
+/**
+ * The state of the button command, see `CKEditorButtonDirective#state`.
+ */
+export type CKEditorButtonState = 'on' | 'off' | 'disabled';
+
+const commandStates: { [ state in CKEditorButtonState ]: CKEditor4.CommandState } = {
+	on: CKEditor4.CommandState.ON,
+	off: CKEditor4.CommandState.OFF,
+	disabled: CKEditor4.CommandState.DISABLED
+};
+
+/**
+ * Registers a command and a toolbar button in the editor of the parent `<ckeditor>` component, e.g.:
+ *
+ *		<ckeditor>
+ *			<ckeditor-button name="insertSignature" label="Insert signature" (execute)="insertSignature( $event )"></ckeditor-button>
+ *		</ckeditor>
+ *
+ * The button is added to the `toolbar` group, so it's shown if the group is present in `config.toolbarGroups`.
+ * If the toolbar is configured with `config.toolbar`, the button name must be listed there.
+ *
+ * Only the `state` changes are reflected in the existing editor, other inputs are read when the editor is created.
+ * Adding or removing buttons recreates the editor.
+ */
+@Directive( {
+	selector: 'ckeditor-button',
+	standalone: true
+} )
+export class CKEditorButtonDirective implements OnChanges {
+	/**
+	 * The name of the command and the button.
+	 */
+	@Input() name: string;
+
+	/**
+	 * The label (and tooltip) of the button. Defaults to the `name`.
+	 */
+	@Input() label?: string;
+
+	/**
+	 * The toolbar group of the button, optionally with its order in the group, e.g. `insert,100`.
+	 *
+	 * Defaults to `others`.
+	 */
+	@Input() toolbar = 'others';
+
+	/**
+	 * The button icon: the name of the icon provided by an editor plugin or its URL.
+	 */
+	@Input() icon?: string;
+
+	/**
+	 * The state of the command: `on` for the active button, `off` for the inactive one or `disabled`.
+	 * The command is disabled in the read-only editor and in the source mode regardless of the state.
+	 */
+	@Input() state: CKEditorButtonState = 'off';
+
+	/**
+	 * Fires when the command is executed, e.g. when the button is clicked. Emits the editor executing the command.
+	 */
+	@Output() execute = new EventEmitter<CKEditor4.Editor>();
+
+	private _editors = new Set<CKEditor4.Editor>();
+
+	constructor( private ngZone: NgZone ) {}
+
+	ngOnChanges( changes: SimpleChanges ): void {
+		if ( changes.state ) {
+			this._editors.forEach( editor => this.applyState( editor ) );
+		}
+	}
+
+	/**
+	 * Adds the command and the button to the editor. Must be called before the editor UI is created,
+	 * which `CKEditorComponent` does once the editor plugins are loaded.
+	 */
+	register( editor: CKEditor4.Editor ): void {
+		const applyState = () => this.applyState( editor );
+
+		editor.addCommand( this.name, {
+			startDisabled: this.state === 'disabled',
+			exec: () => {
+				this.ngZone.run( () => this.execute.emit( editor ) );
+
+				return true;
+			}
+		} );
+
+		editor.ui.addButton( this.name, {
+			label: this.label || this.name,
+			command: this.name,
+			toolbar: this.toolbar,
+			icon: this.icon
+		} );
+
+		// The editor resets the commands state when the mode or the read-only state changes.
+		editor.on( 'mode', applyState );
+		editor.on( 'readOnly', applyState );
+		editor.on( 'destroy', () => this._editors.delete( editor ) );
+
+		this._editors.add( editor );
+	}
+
+	private applyState( editor: CKEditor4.Editor ): void {
+		const command = editor.getCommand( this.name );
+
+		if ( command && !editor.readOnly && editor.mode === 'wysiwyg' ) {
+			command.setState( commandStates[ this.state ] );
+		}
+	}
+}
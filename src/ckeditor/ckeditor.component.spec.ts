@@ -14,9 +14,14 @@ import {
 	whenEvent
 } from '../test.tools';
 import { CKEditor4 } from './ckeditor';
+import { provideCKEditorDefaults } from './ckeditor.defaults';
+import { CKEditorError } from './ckeditor.error';
+import { loadEditorNamespace } from './ckeditor.loader';
 import EditorType = CKEditor4.EditorType;
-import { AfterViewInit, Component, ElementRef, ViewChild } from '@angular/core';
+import { AfterViewInit, Component, ElementRef, NgZone, PLATFORM_ID, SimpleChange, ViewChild, signal } from '@angular/core';
+import { FormControl, FormGroup, ReactiveFormsModule } from '@angular/forms';
 import { By } from '@angular/platform-browser';
+import { Subscription } from 'rxjs';
 
 declare var CKEDITOR: any;
 
@@ -27,7 +32,7 @@ describe( 'CKEditorComponent', () => {
 
 	beforeEach( () => {
 		return TestBed.configureTestingModule( {
-			declarations: [ CKEditorComponent ]
+			imports: [ CKEditorComponent ]
 		} ).compileComponents();
 	} )
 
@@ -91,6 +96,20 @@ describe( 'CKEditorComponent', () => {
 					} );
 				} );
 
+				it( 'should change loading state once the editor is ready', () => {
+					const spy = jasmine.createSpy();
+					component.loadingStateChange.subscribe( spy );
+
+					expect( component.loadingState ).toEqual( 'loading' );
+
+					fixture.detectChanges();
+
+					return whenEvent( 'ready', component ).then( () => {
+						expect( component.loadingState ).toEqual( 'ready' );
+						expect( spy ).toHaveBeenCalledOnceWith( 'ready' );
+					} );
+				} );
+
 				describe( 'with tagName unset', () => {
 					it( 'editor should be initialized using textarea element', () => {
 						fixture.detectChanges();
@@ -238,6 +257,33 @@ describe( 'CKEditorComponent', () => {
 					expect( component.instance.readOnly ).toBeFalsy();
 				} );
 
+				describe( 'with disabled state', () => {
+					it( 'should make editor read-only when disabled', () => {
+						component.setDisabledState( true );
+
+						expect( component.instance.readOnly ).toBeTruthy();
+
+						component.setDisabledState( false );
+
+						expect( component.instance.readOnly ).toBeFalsy();
+					} );
+
+					it( 'should keep editor read-only when enabled if read-only mode is set', () => {
+						component.readOnly = true;
+						component.setDisabledState( true );
+						component.setDisabledState( false );
+
+						expect( component.instance.readOnly ).toBeTruthy();
+					} );
+
+					it( 'should keep editor read-only when read-only mode is disabled for disabled control', () => {
+						component.setDisabledState( true );
+						component.readOnly = false;
+
+						expect( component.instance.readOnly ).toBeTruthy();
+					} );
+				} );
+
 				describe( 'with changed read-only mode', () => {
 					it( 'should allow to enable read-only mode', () => {
 						component.readOnly = true;
@@ -289,6 +335,330 @@ describe( 'CKEditorComponent', () => {
 					} );
 				} );
 
+				describe( 'with data change strategy', () => {
+					let spy: jasmine.Spy;
+
+					beforeEach( () => {
+						spy = jasmine.createSpy( 'onChange' );
+						component.registerOnChange( spy );
+						component.instance.focus();
+					} );
+
+					it( 'should emit changes immediately by default', () => {
+						component.instance.insertText( 'foo' );
+
+						expect( spy ).toHaveBeenCalledTimes( 1 );
+					} );
+
+					it( 'should debounce changes with `debounce` strategy', async () => {
+						const dataChangeSpy = jasmine.createSpy( 'dataChange' );
+
+						component.dataChange.subscribe( dataChangeSpy );
+						component.dataChangeStrategy = 'debounce';
+						component.dataChangeDebounce = 50;
+
+						component.instance.insertText( 'foo' );
+						component.instance.insertText( 'bar' );
+
+						expect( spy ).not.toHaveBeenCalled();
+
+						await wait( 100 );
+
+						expect( spy ).toHaveBeenCalledTimes( 1 );
+						expect( dataChangeSpy ).toHaveBeenCalledTimes( 1 );
+						expect( spy.calls.first().args[ 0 ] ).toContain( 'foobar' );
+					} );
+
+					it( 'should emit changes on blur with `blur` strategy', () => {
+						const touchedSpy = jasmine.createSpy( 'onTouched' );
+
+						component.registerOnTouched( touchedSpy );
+						component.dataChangeStrategy = 'blur';
+
+						component.instance.insertText( 'foo' );
+
+						expect( spy ).not.toHaveBeenCalled();
+
+						component.instance.fire( 'blur' );
+
+						expect( spy ).toHaveBeenCalledTimes( 1 );
+						expect( spy ).toHaveBeenCalledBefore( touchedSpy );
+					} );
+
+					it( 'should emit changes when idle with `idle` strategy', async () => {
+						component.dataChangeStrategy = 'idle';
+
+						component.instance.insertText( 'foo' );
+
+						expect( spy ).not.toHaveBeenCalled();
+
+						await waitUntil( () => spy.calls.count() === 1, 2000 );
+					} );
+
+					it( 'should flush pending change on demand', () => {
+						component.dataChangeStrategy = 'blur';
+
+						component.instance.insertText( 'foo' );
+						component.flushDataChange();
+
+						expect( spy ).toHaveBeenCalledTimes( 1 );
+						expect( component.data ).toContain( 'foo' );
+					} );
+
+					it( 'should flush pending change on destroy', () => {
+						component.dataChangeStrategy = 'blur';
+
+						component.instance.insertText( 'foo' );
+						fixture.destroy();
+
+						expect( spy ).toHaveBeenCalledTimes( 1 );
+					} );
+
+					it( 'should discard pending change when data is written', async () => {
+						component.dataChangeStrategy = 'blur';
+
+						component.instance.insertText( 'foo' );
+
+						await whenDataReady( component.instance, () => component.writeValue( '<p>bar</p>' ) );
+
+						spy.calls.reset();
+						component.instance.fire( 'blur' );
+
+						expect( spy ).not.toHaveBeenCalled();
+						expect( component.data ).toEqual( '<p>bar</p>\n' );
+					} );
+				} );
+
+				describe( 'observables', () => {
+					it( 'ready$ should replay the editor for late subscribers', () => {
+						const spy = jasmine.createSpy();
+
+						component.ready$.subscribe( spy );
+
+						expect( spy ).toHaveBeenCalledOnceWith( component.instance );
+					} );
+
+					it( 'data$ should emit current data and its changes', async () => {
+						const values: string[] = [];
+
+						component.data$.subscribe( value => values.push( value ) );
+
+						await whenDataReady( component.instance, () => component.instance.setData( '<p>foo</p>' ) );
+
+						expect( values ).toEqual( [ null, '<p>foo</p>\n' ] );
+					} );
+
+					it( 'focused$ should emit focus state', () => {
+						const values: boolean[] = [];
+
+						component.focused$.subscribe( value => values.push( value ) );
+
+						component.instance.fire( 'focus' );
+						component.instance.fire( 'blur' );
+
+						expect( values ).toEqual( [ false, true, false ] );
+					} );
+
+					it( 'readOnly$ should emit read-only state', () => {
+						const values: boolean[] = [];
+
+						component.readOnly$.subscribe( value => values.push( value ) );
+
+						component.readOnly = true;
+						component.readOnly = false;
+
+						expect( values ).toEqual( [ false, true, false ] );
+					} );
+
+					it( 'selection$ should emit editor selection', () => {
+						const spy = jasmine.createSpy();
+
+						component.selection$.subscribe( spy );
+
+						component.instance.focus();
+						component.instance.fire( 'selectionChange', { selection: component.instance.getSelection() } );
+
+						expect( spy ).toHaveBeenCalledWith( component.instance.getSelection() );
+					} );
+
+					it( 'fromEvent() should emit given editor event inside Angular zone', () => {
+						const spy = jasmine.createSpy();
+
+						component.fromEvent( 'customEvent' ).subscribe( evt => spy( evt.data, NgZone.isInAngularZone() ) );
+
+						fixture.ngZone.runOutsideAngular( () => component.instance.fire( 'customEvent', { foo: 1 } ) );
+
+						expect( spy ).toHaveBeenCalledOnceWith( { foo: 1 }, true );
+					} );
+
+					it( 'should complete and remove listeners when component is destroyed', () => {
+						const editor = component.instance;
+						const spies = [ 'ready$', 'data$', 'selection$', 'focused$', 'readOnly$' ].map( name => {
+							const spy = jasmine.createSpy( name );
+
+							component[ name ].subscribe( { complete: spy } );
+
+							return spy;
+						} );
+						const eventSpy = jasmine.createSpy( 'customEvent' );
+
+						component.fromEvent( 'customEvent' ).subscribe( { complete: eventSpy } );
+
+						fixture.destroy();
+
+						spies.forEach( spy => expect( spy ).toHaveBeenCalled() );
+						expect( eventSpy ).toHaveBeenCalled();
+						expect( editor.hasListeners( 'customEvent' ) ).toBeFalse();
+					} );
+				} );
+
+				describe( 'with editorEvents', () => {
+					function setEditorEvents( editorEvents: any[] ) {
+						const previousValue = component.editorEvents;
+
+						component.editorEvents = editorEvents;
+						component.ngOnChanges( { editorEvents: new SimpleChange( previousValue, editorEvents, false ) } );
+					}
+
+					it( 'should emit listed editor events', () => {
+						const spy = jasmine.createSpy();
+						component.editorEvent.subscribe( spy );
+
+						setEditorEvents( [ 'customEvent', { name: 'otherEvent' } ] );
+
+						component.instance.fire( 'customEvent', { foo: 1 } );
+						component.instance.fire( 'otherEvent' );
+						component.instance.fire( 'notListedEvent' );
+
+						expect( spy ).toHaveBeenCalledTimes( 2 );
+						expect( spy.calls.argsFor( 0 )[ 0 ].name ).toEqual( 'customEvent' );
+						expect( spy.calls.argsFor( 0 )[ 0 ].data ).toEqual( { foo: 1 } );
+						expect( spy.calls.argsFor( 1 )[ 0 ].name ).toEqual( 'otherEvent' );
+					} );
+
+					it( 'should emit events inside Angular zone', () => {
+						let isInAngularZone: boolean;
+						component.editorEvent.subscribe( () => isInAngularZone = NgZone.isInAngularZone() );
+
+						setEditorEvents( [ 'customEvent' ] );
+
+						fixture.ngZone.runOutsideAngular( () => component.instance.fire( 'customEvent' ) );
+
+						expect( isInAngularZone ).toBeTrue();
+					} );
+
+					it( 'should allow canceling the event', () => {
+						component.editorEvent.subscribe( evt => evt.cancel() );
+
+						setEditorEvents( [ 'customEvent' ] );
+
+						expect( component.instance.fire( 'customEvent', { foo: 1 } ) ).toBeFalse();
+					} );
+
+					it( 'should respect listener priority', () => {
+						const calls: string[] = [];
+
+						component.instance.on( 'customEvent', () => {
+							calls.push( 'default' );
+						} );
+						component.editorEvent.subscribe( () => calls.push( 'component' ) );
+
+						setEditorEvents( [ { name: 'customEvent', priority: 1 } ] );
+
+						component.instance.fire( 'customEvent' );
+
+						expect( calls ).toEqual( [ 'component', 'default' ] );
+					} );
+
+					it( 'should remove listeners when events list changes', () => {
+						setEditorEvents( [ 'customEvent' ] );
+
+						expect( component.instance.hasListeners( 'customEvent' ) ).toBeTrue();
+
+						setEditorEvents( [] );
+
+						expect( component.instance.hasListeners( 'customEvent' ) ).toBeFalse();
+					} );
+				} );
+
+				describe( 'on inputs change', () => {
+					function changeInput( name: string, value: any ) {
+						const previousValue = component[ name ];
+
+						component[ name ] = value;
+						component.ngOnChanges( { [ name ]: new SimpleChange( previousValue, value, false ) } );
+
+						return whenEvent( 'recreated', component );
+					}
+
+					it( 'should recreate editor when config changes', async () => {
+						const previousEditor = component.instance;
+
+						await changeInput( 'config', { height: 400 } );
+
+						expect( component.instance ).not.toBe( previousEditor );
+						expect( component.instance.config.height ).toEqual( 400 );
+						expect( fixture.nativeElement.querySelectorAll( '[contenteditable], textarea' ).length ).toEqual( 1 );
+					} );
+
+					it( 'should recreate editor when type changes', async () => {
+						const newType = editorType === EditorType.INLINE ? EditorType.CLASSIC : EditorType.INLINE;
+
+						await changeInput( 'type', newType );
+
+						expect( component.instance.editable().isInline() ).toBe( newType === EditorType.INLINE );
+					} );
+
+					it( 'should recreate editor when tagName changes', async () => {
+						await changeInput( 'tagName', 'div' );
+
+						expect( component.instance.element.getName() ).toEqual( 'div' );
+					} );
+
+					it( 'should not emit ready event when editor is recreated', async () => {
+						const spy = jasmine.createSpy();
+						component.ready.subscribe( spy );
+
+						await changeInput( 'config', { height: 400 } );
+
+						expect( spy ).not.toHaveBeenCalled();
+					} );
+
+					it( 'should preserve data and read-only state', async () => {
+						await whenDataReady( component.instance, () => component.data = '<p>foo</p>' );
+						component.readOnly = true;
+
+						await changeInput( 'config', { height: 400 } );
+
+						expect( component.instance.getData() ).toEqual( '<p>foo</p>\n' );
+						expect( component.data ).toEqual( '<p>foo</p>\n' );
+						expect( component.instance.readOnly ).toBeTrue();
+					} );
+
+					it( 'should preserve undo history', async () => {
+						component.instance.focus();
+						component.instance.insertText( 'foo' );
+
+						const snapshotsCount = component.instance.undoManager.snapshots.length;
+
+						expect( component.instance.undoManager.hasUndo ).toBeTrue();
+
+						await changeInput( 'config', { height: 400 } );
+
+						expect( component.instance.undoManager.snapshots.length ).toEqual( snapshotsCount );
+						expect( component.instance.undoManager.hasUndo ).toBeTrue();
+					} );
+
+					it( 'should not recreate editor for other inputs', () => {
+						const spy = jasmine.createSpy();
+						component.recreated.subscribe( spy );
+
+						component.ngOnChanges( { readOnly: new SimpleChange( false, true, false ) } );
+
+						expect( spy ).not.toHaveBeenCalled();
+					} );
+				} );
+
 				describe( 'editor event', () => {
 					it( 'change should emit component change', () => {
 						fixture.detectChanges();
@@ -509,7 +879,8 @@ describe( 'CKEditorComponent detached', () => {
 
 	beforeEach( () => {
 		return TestBed.configureTestingModule( {
-			declarations: [ CKEditorComponent, DetachableCallbackComponent ]
+			declarations: [ DetachableCallbackComponent ],
+			imports: [ CKEditorComponent ]
 		} ).compileComponents();
 	} );
 
@@ -583,6 +954,729 @@ describe( 'CKEditorComponent detached', () => {
 	} );
 } );
 
+describe( 'CKEditorComponent errors', () => {
+	let fixture: ComponentFixture<CKEditorComponent>,
+		component: CKEditorComponent,
+		readySpy: jasmine.Spy,
+		errorSpy: jasmine.Spy,
+		errorSubscription: Subscription;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ CKEditorComponent ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( () => {
+		fixture = TestBed.createComponent( CKEditorComponent );
+		component = fixture.componentInstance;
+
+		readySpy = jasmine.createSpy( 'ready' );
+		errorSpy = jasmine.createSpy( 'error' );
+		component.ready.subscribe( readySpy );
+		errorSubscription = component.error.subscribe( errorSpy );
+
+		// Make sure the namespace is loaded, so it can be safely restored after removing it.
+		return loadEditorNamespace( component.editorUrl );
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should emit error when the editor script cannot be loaded', async () => {
+		const namespace = window[ 'CKEDITOR' ];
+		const missingUrl = URL.createObjectURL( new Blob( [ '' ], { type: 'text/javascript' } ) );
+
+		URL.revokeObjectURL( missingUrl );
+		delete window[ 'CKEDITOR' ];
+
+		try {
+			component.editorUrl = missingUrl;
+			fixture.detectChanges();
+
+			await whenEvent( 'error', component );
+		} finally {
+			window[ 'CKEDITOR' ] = namespace;
+		}
+
+		const error: CKEditorError = errorSpy.calls.first().args[ 0 ];
+
+		expect( error ).toEqual( jasmine.any( CKEditorError ) );
+		expect( error.phase ).toEqual( 'load' );
+		expect( error.editorUrl ).toEqual( missingUrl );
+		expect( error.cause ).toEqual( jasmine.any( Error ) );
+		expect( component.loadingState ).toEqual( 'failed' );
+		expect( readySpy ).not.toHaveBeenCalled();
+	} );
+
+	it( 'should emit error when the editor cannot be created', async () => {
+		const cause = new Error( 'foo' );
+
+		spyOn( CKEDITOR, 'replace' ).and.throwError( cause );
+
+		fixture.detectChanges();
+
+		await whenEvent( 'error', component );
+
+		const error: CKEditorError = errorSpy.calls.first().args[ 0 ];
+
+		expect( error.phase ).toEqual( 'create' );
+		expect( error.cause ).toBe( cause );
+		expect( component.loadingState ).toEqual( 'failed' );
+		expect( fixture.nativeElement.children.length ).toEqual( 0 );
+		expect( readySpy ).not.toHaveBeenCalled();
+	} );
+
+	it( 'should emit error and destroy the editor when destroyed before the editor is ready', async () => {
+		const whenEditorCreated = new Promise<CKEditor4.Editor>( resolve => {
+			CKEDITOR.once( 'instanceCreated', evt => resolve( evt.editor ) );
+		} );
+
+		fixture.detectChanges();
+
+		const editor = await whenEditorCreated;
+		const whenEditorDestroyed = new Promise( resolve => editor.once( 'destroy', resolve ) );
+
+		fixture.destroy();
+
+		await whenEditorDestroyed;
+
+		expect( errorSpy ).toHaveBeenCalledTimes( 1 );
+		expect( errorSpy.calls.first().args[ 0 ].phase ).toEqual( 'destroy' );
+		expect( readySpy ).not.toHaveBeenCalled();
+		expect( component.instance ).toBeFalsy();
+	} );
+
+	it( 'should log error when error output has no subscribers', async () => {
+		const consoleSpy = spyOn( console, 'error' );
+
+		spyOn( CKEDITOR, 'replace' ).and.throwError( 'foo' );
+		errorSubscription.unsubscribe();
+
+		fixture.detectChanges();
+
+		await waitUntil( () => component.loadingState === 'failed' );
+
+		expect( consoleSpy ).toHaveBeenCalledTimes( 1 );
+		expect( consoleSpy.calls.first().args[ 0 ].phase ).toEqual( 'create' );
+	} );
+} );
+
+describe( 'CKEditorComponent with defaults', () => {
+	let fixture: ComponentFixture<CKEditorComponent>,
+		component: CKEditorComponent;
+
+	const defaultInstanceReadySpy = jasmine.createSpy( 'instanceReady' );
+	const defaultKeySpy = jasmine.createSpy( 'key' );
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ CKEditorComponent ],
+			providers: [
+				provideCKEditorDefaults( {
+					tagName: 'div',
+					type: EditorType.INLINE,
+					config: {
+						width: 500,
+						height: 300,
+						on: {
+							instanceReady: defaultInstanceReadySpy,
+							key: defaultKeySpy
+						}
+					}
+				} )
+			]
+		} ).compileComponents();
+	} );
+
+	beforeEach( () => {
+		fixture = TestBed.createComponent( CKEditorComponent );
+		component = fixture.componentInstance;
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should use default type and tagName', async () => {
+		fixture.detectChanges();
+
+		await whenEvent( 'ready', component );
+
+		expect( component.type ).toEqual( EditorType.INLINE );
+		expect( component.instance.elementMode ).toEqual( 3 );
+		expect( fixture.nativeElement.firstElementChild.tagName ).toEqual( 'DIV' );
+	} );
+
+	it( 'should keep default editorUrl when not provided', () => {
+		expect( component.editorUrl ).toEqual( 'https://cdn.ckeditor.com/4.21.0/standard-all/ckeditor.js' );
+	} );
+
+	it( 'should merge component config over default config', async () => {
+		component.config = { height: 600 };
+		fixture.detectChanges();
+
+		await whenEvent( 'ready', component );
+
+		expect( component.instance.config.width ).toEqual( 500 );
+		expect( component.instance.config.height ).toEqual( 600 );
+		expect( component.instance.config.delayIfDetached ).toBeTrue();
+	} );
+
+	it( 'should keep default listeners not overridden by component config', async () => {
+		const instanceReadySpy = jasmine.createSpy( 'instanceReady' );
+
+		defaultInstanceReadySpy.calls.reset();
+		defaultKeySpy.calls.reset();
+
+		component.config = { on: { instanceReady: instanceReadySpy } };
+		fixture.detectChanges();
+
+		await whenEvent( 'ready', component );
+
+		component.instance.fire( 'key', { keyCode: 65 } );
+
+		expect( instanceReadySpy ).toHaveBeenCalledTimes( 1 );
+		expect( defaultInstanceReadySpy ).not.toHaveBeenCalled();
+		expect( defaultKeySpy ).toHaveBeenCalledTimes( 1 );
+	} );
+} );
+
+describe( 'CKEditorComponent with falsy defaults', () => {
+	let fixture: ComponentFixture<CKEditorComponent>,
+		component: CKEditorComponent;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ CKEditorComponent ],
+			providers: [
+				provideCKEditorDefaults( {
+					dataChangeDebounce: 0
+				} )
+			]
+		} ).compileComponents();
+	} );
+
+	beforeEach( () => {
+		fixture = TestBed.createComponent( CKEditorComponent );
+		component = fixture.componentInstance;
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should use the zero debounce default', () => {
+		expect( component.dataChangeDebounce ).toEqual( 0 );
+	} );
+} );
+
+describe( 'CKEditorComponent with reactive forms', () => {
+	@Component( {
+		selector: 'reactive-form',
+		template: `<form [formGroup]="form">
+			<ckeditor formControlName="description"></ckeditor>
+		</form>`
+	} )
+	class ReactiveFormComponent {
+		form = new FormGroup( {
+			description: new FormControl( '<b>foo</b>' )
+		} );
+	}
+
+	let fixture: ComponentFixture<ReactiveFormComponent>,
+		ckeditorComponent: CKEditorComponent;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			declarations: [ ReactiveFormComponent ],
+			imports: [ CKEditorComponent, ReactiveFormsModule ]
+		} ).compileComponents();
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	function createForm( updateOn: 'change' | 'blur' | 'submit', disabled = false ) {
+		fixture = TestBed.createComponent( ReactiveFormComponent );
+		fixture.componentInstance.form = new FormGroup( {
+			description: new FormControl( { value: '<b>foo</b>', disabled }, { updateOn } )
+		} );
+		ckeditorComponent = fixture.debugElement.query( By.directive( CKEditorComponent ) ).componentInstance;
+
+		fixture.detectChanges();
+
+		return whenEvent( 'ready', ckeditorComponent );
+	}
+
+	it( 'should not mark control as dirty when initial data is normalized', async () => {
+		await createForm( 'change' );
+
+		const control = fixture.componentInstance.form.get( 'description' );
+
+		expect( control.value ).toEqual( '<p><strong>foo</strong></p>\n' );
+		expect( control.pristine ).toBeTrue();
+	} );
+
+	it( 'should not mark control as dirty when written value is normalized', async () => {
+		await createForm( 'change' );
+
+		const control = fixture.componentInstance.form.get( 'description' );
+
+		await whenDataReady( ckeditorComponent.instance, () => control.setValue( '<b>bar</b>' ) );
+
+		expect( control.value ).toEqual( '<p><strong>bar</strong></p>\n' );
+		expect( control.pristine ).toBeTrue();
+	} );
+
+	it( 'should create read-only editor for disabled control', async () => {
+		await createForm( 'change', true );
+
+		expect( ckeditorComponent.instance.readOnly ).toBeTrue();
+
+		fixture.componentInstance.form.get( 'description' ).enable();
+
+		expect( ckeditorComponent.instance.readOnly ).toBeFalse();
+	} );
+
+	it( 'should update control on blur when `updateOn` is set to `blur`', async () => {
+		await createForm( 'blur' );
+
+		const control = fixture.componentInstance.form.get( 'description' );
+
+		await whenDataReady( ckeditorComponent.instance, () => ckeditorComponent.instance.setData( '<p>bar</p>' ) );
+
+		expect( control.value ).toEqual( '<p><strong>foo</strong></p>\n' );
+
+		ckeditorComponent.instance.fire( 'blur' );
+
+		expect( control.value ).toEqual( '<p>bar</p>\n' );
+		expect( control.dirty ).toBeTrue();
+	} );
+
+	it( 'should flush pending data change when form is submitted', async () => {
+		await createForm( 'submit' );
+
+		const control = fixture.componentInstance.form.get( 'description' );
+
+		ckeditorComponent.dataChangeStrategy = 'blur';
+		ckeditorComponent.instance.focus();
+		ckeditorComponent.instance.insertText( 'bar' );
+
+		fixture.nativeElement.querySelector( 'form' ).dispatchEvent( new Event( 'submit', { cancelable: true } ) );
+
+		expect( control.value ).toContain( 'bar' );
+	} );
+
+	it( 'should update control on submit when `updateOn` is set to `submit`', async () => {
+		await createForm( 'submit' );
+
+		const control = fixture.componentInstance.form.get( 'description' );
+
+		await whenDataReady( ckeditorComponent.instance, () => ckeditorComponent.instance.setData( '<p>bar</p>' ) );
+		ckeditorComponent.instance.fire( 'blur' );
+
+		expect( control.value ).toEqual( '<p><strong>foo</strong></p>\n' );
+
+		fixture.debugElement.query( By.css( 'form' ) ).triggerEventHandler( 'submit', {} );
+
+		expect( control.value ).toEqual( '<p>bar</p>\n' );
+	} );
+} );
+
+describe( 'CKEditorComponent mode', () => {
+	let fixture: ComponentFixture<CKEditorComponent>,
+		component: CKEditorComponent;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ CKEditorComponent ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( async () => {
+		fixture = TestBed.createComponent( CKEditorComponent );
+		component = fixture.componentInstance;
+		component.mode = 'source';
+		component.data = '<p>foo</p>';
+
+		fixture.detectChanges();
+
+		await whenEvent( 'ready', component );
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should create the editor in the bound mode', () => {
+		expect( component.instance.mode ).toEqual( 'source' );
+		expect( component.mode ).toEqual( 'source' );
+	} );
+
+	it( 'should set the mode', async () => {
+		const modeChangeSpy = jasmine.createSpy( 'modeChange' );
+
+		component.modeChange.subscribe( modeChangeSpy );
+
+		await new Promise( resolve => {
+			component.instance.once( 'mode', resolve );
+			component.mode = 'wysiwyg';
+		} );
+
+		expect( component.instance.mode ).toEqual( 'wysiwyg' );
+		expect( modeChangeSpy ).not.toHaveBeenCalled();
+	} );
+
+	it( 'should emit the mode changed by the editor', async () => {
+		const modeChangeSpy = jasmine.createSpy( 'modeChange' );
+
+		component.modeChange.subscribe( modeChangeSpy );
+
+		await new Promise<void>( resolve => component.instance.setMode( 'wysiwyg', resolve ) );
+
+		expect( modeChangeSpy ).toHaveBeenCalledOnceWith( 'wysiwyg' );
+		expect( component.mode ).toEqual( 'wysiwyg' );
+	} );
+
+	it( 'should propagate the changes made in the source mode', () => {
+		const changeSpy = jasmine.createSpy( 'onChange' );
+		const textarea: HTMLTextAreaElement = component.instance.editable().$ as HTMLTextAreaElement;
+
+		component.registerOnChange( changeSpy );
+
+		textarea.value = '<p>bar</p>';
+		textarea.dispatchEvent( new Event( 'input' ) );
+
+		expect( changeSpy ).toHaveBeenCalledWith( '<p>bar</p>' );
+		expect( component.data ).toEqual( '<p>bar</p>' );
+	} );
+
+	it( 'should keep the mode when the editor is recreated', async () => {
+		component.config = { language: 'de' };
+		component.ngOnChanges( { config: new SimpleChange( undefined, component.config, false ) } );
+
+		await whenEvent( 'recreated', component );
+
+		expect( component.instance.mode ).toEqual( 'source' );
+	} );
+} );
+
+describe( 'CKEditorComponent selection', () => {
+	let fixture: ComponentFixture<CKEditorComponent>,
+		component: CKEditorComponent;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ CKEditorComponent ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( async () => {
+		fixture = TestBed.createComponent( CKEditorComponent );
+		component = fixture.componentInstance;
+		component.data = '<p>foo</p><p>bar</p>';
+
+		fixture.detectChanges();
+
+		await whenEvent( 'ready', component );
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	function placeCaretAtEnd( index: number ): void {
+		const editor = component.instance;
+		const range = editor.createRange();
+
+		editor.focus();
+		editor.focusManager.focus();
+		range.moveToElementEditEnd( editor.editable().find( 'p' ).getItem( index ) );
+		range.select();
+	}
+
+	it( 'should insert the HTML at the caret', () => {
+		placeCaretAtEnd( 0 );
+
+		component.insertHtml( '<em>baz</em>' );
+
+		expect( component.instance.getData() ).toEqual( '<p>foo<em>baz</em></p>\n\n<p>bar</p>\n' );
+	} );
+
+	it( 'should sanitize the inserted HTML', () => {
+		component.sanitize = true;
+		placeCaretAtEnd( 1 );
+
+		component.insertHtml( '<p onclick="alert( 1 )">baz</p>', 'unfiltered_html' );
+
+		expect( component.instance.getData() ).toContain( 'baz' );
+		expect( component.instance.getData() ).not.toContain( 'onclick' );
+	} );
+
+	it( 'should insert the text at the caret', () => {
+		placeCaretAtEnd( 1 );
+
+		component.insertText( '<baz>' );
+
+		expect( component.instance.getData() ).toEqual( '<p>foo</p>\n\n<p>bar&lt;baz&gt;</p>\n' );
+	} );
+
+	it( 'should return the selected content', () => {
+		const editor = component.instance;
+		const range = editor.createRange();
+
+		editor.focus();
+		range.selectNodeContents( editor.editable().find( 'p' ).getItem( 0 ) );
+		range.select();
+
+		expect( component.getSelectedHtml() ).toContain( 'foo' );
+		expect( component.getSelectedText() ).toEqual( 'foo' );
+	} );
+
+	it( 'should restore the serialized bookmark', () => {
+		placeCaretAtEnd( 1 );
+
+		const bookmark = JSON.parse( JSON.stringify( component.createBookmark() ) );
+
+		placeCaretAtEnd( 0 );
+
+		expect( component.restoreBookmark( bookmark ) ).toBeTrue();
+
+		component.insertText( '!' );
+
+		expect( component.instance.getData() ).toEqual( '<p>foo</p>\n\n<p>bar!</p>\n' );
+	} );
+
+	it( 'should not restore the bookmark when the content has changed', async () => {
+		placeCaretAtEnd( 1 );
+
+		const bookmark = component.createBookmark();
+
+		await whenDataReady( component.instance, () => component.instance.setData( '<p>foo</p>' ) );
+
+		expect( component.restoreBookmark( bookmark ) ).toBeFalse();
+	} );
+
+	it( 'should preserve the selection when the data is set', async () => {
+		component.preserveSelection = true;
+		placeCaretAtEnd( 1 );
+
+		await whenDataReady( component.instance, () => component.data = '<p>baz</p><p>bar</p>' );
+
+		component.insertText( '!' );
+
+		expect( component.instance.getData() ).toEqual( '<p>baz</p>\n\n<p>bar!</p>\n' );
+	} );
+
+	it( 'should not use the selection in the source mode', async () => {
+		placeCaretAtEnd( 1 );
+
+		await new Promise<void>( resolve => component.instance.setMode( 'source', resolve ) );
+
+		component.insertHtml( '<p>baz</p>' );
+
+		expect( component.createBookmark() ).toBeNull();
+		expect( component.getSelectedHtml() ).toEqual( '' );
+		expect( component.data ).toEqual( '<p>foo</p>\n\n<p>bar</p>\n' );
+	} );
+} );
+
+describe( 'CKEditorComponent with signals', () => {
+	@Component( {
+		selector: 'signal-editor',
+		standalone: true,
+		imports: [ CKEditorComponent ],
+		template: '<ckeditor [dataModel]="content"></ckeditor>'
+	} )
+	class SignalEditorComponent {
+		content = signal( '<p>foo</p>' );
+	}
+
+	let fixture: ComponentFixture<SignalEditorComponent>,
+		ckeditorComponent: CKEditorComponent;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ SignalEditorComponent ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( async () => {
+		fixture = TestBed.createComponent( SignalEditorComponent );
+		ckeditorComponent = fixture.debugElement.query( By.directive( CKEditorComponent ) ).componentInstance;
+
+		expect( ckeditorComponent.isReady() ).toBeFalse();
+
+		fixture.detectChanges();
+
+		await whenEvent( 'ready', ckeditorComponent );
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should set the model data to the editor', async () => {
+		expect( ckeditorComponent.instance.getData() ).toEqual( '<p>foo</p>\n' );
+
+		await whenDataReady( ckeditorComponent.instance, () => {
+			fixture.componentInstance.content.set( '<p>bar</p>' );
+			fixture.detectChanges();
+		} );
+
+		expect( ckeditorComponent.instance.getData() ).toEqual( '<p>bar</p>\n' );
+	} );
+
+	it( 'should set the editor data to the model', async () => {
+		await whenDataReady( ckeditorComponent.instance, () => ckeditorComponent.instance.setData( '<p>baz</p>' ) );
+
+		expect( fixture.componentInstance.content() ).toEqual( '<p>baz</p>\n' );
+	} );
+
+	it( 'should provide the editor state signals', () => {
+		expect( ckeditorComponent.isReady() ).toBeTrue();
+		expect( ckeditorComponent.isFocused() ).toBeFalse();
+		expect( ckeditorComponent.isReadOnly() ).toBeFalse();
+
+		ckeditorComponent.readOnly = true;
+
+		expect( ckeditorComponent.isReadOnly() ).toBeTrue();
+
+		ckeditorComponent.instance.fire( 'focus' );
+
+		expect( ckeditorComponent.isFocused() ).toBeTrue();
+	} );
+} );
+
+describe( 'CKEditorComponent preview', () => {
+	let fixture: ComponentFixture<CKEditorComponent>,
+		component: CKEditorComponent;
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	describe( 'on the server', () => {
+		beforeEach( () => {
+			return TestBed.configureTestingModule( {
+				imports: [ CKEditorComponent ],
+				providers: [ { provide: PLATFORM_ID, useValue: 'server' } ]
+			} ).compileComponents();
+		} );
+
+		it( 'should render the data as a static preview without creating the editor', async () => {
+			const namespaceLoadedSpy = jasmine.createSpy( 'namespaceLoaded' );
+
+			fixture = TestBed.createComponent( CKEditorComponent );
+			component = fixture.componentInstance;
+			component.data = '<p>foo</p>';
+			component.namespaceLoaded.subscribe( namespaceLoadedSpy );
+
+			fixture.detectChanges();
+
+			await wait( 100 );
+
+			const preview = fixture.nativeElement.querySelector( '.ckeditor-preview' );
+
+			expect( preview.innerHTML ).toEqual( '<p>foo</p>' );
+			expect( fixture.nativeElement.children.length ).toEqual( 1 );
+			expect( namespaceLoadedSpy ).not.toHaveBeenCalled();
+			expect( component.instance ).toBeUndefined();
+		} );
+
+		it( 'should render the preview of the data in the bound format', () => {
+			fixture = TestBed.createComponent( CKEditorComponent );
+			component = fixture.componentInstance;
+			component.dataFormat = 'markdown';
+			component.data = '**foo**';
+
+			fixture.detectChanges();
+
+			expect( fixture.nativeElement.querySelector( '.ckeditor-preview' ).innerHTML ).toEqual( '<p><strong>foo</strong></p>' );
+		} );
+
+		it( 'should keep the content styles and remove the unsafe content from the preview', () => {
+			fixture = TestBed.createComponent( CKEditorComponent );
+			component = fixture.componentInstance;
+			component.data = '<p style="color: red;" onclick="alert( 1 )">foo</p><script>alert( 2 )</script>';
+
+			fixture.detectChanges();
+
+			expect( fixture.nativeElement.querySelector( '.ckeditor-preview' ).innerHTML ).toEqual( '<p style="color: red;">foo</p>' );
+		} );
+	} );
+
+	describe( 'in the browser', () => {
+		beforeEach( () => {
+			return TestBed.configureTestingModule( {
+				imports: [ CKEditorComponent ]
+			} ).compileComponents();
+		} );
+
+		beforeEach( () => {
+			fixture = TestBed.createComponent( CKEditorComponent );
+			component = fixture.componentInstance;
+		} );
+
+		it( 'should not show the preview of the data', async () => {
+			component.data = '<p>foo</p>';
+
+			fixture.detectChanges();
+
+			expect( fixture.nativeElement.querySelector( '.ckeditor-preview' ) ).toBeNull();
+
+			await whenEvent( 'ready', component );
+
+			expect( fixture.nativeElement.classList.contains( 'ckeditor-upgrading' ) ).toBeFalse();
+		} );
+	} );
+
+	describe( 'on the server-rendered page in the browser', () => {
+		beforeEach( () => {
+			return TestBed.configureTestingModule( {
+				imports: [ CKEditorComponent ]
+			} ).compileComponents();
+		} );
+
+		beforeEach( () => {
+			// Set by Angular on the root element of the server-rendered application.
+			document.body.setAttribute( 'ng-server-context', 'ssr' );
+
+			fixture = TestBed.createComponent( CKEditorComponent );
+			component = fixture.componentInstance;
+		} );
+
+		afterEach( () => {
+			document.body.removeAttribute( 'ng-server-context' );
+		} );
+
+		it( 'should show the preview until the editor is ready', async () => {
+			let isUpgrading = false;
+
+			CKEDITOR.once( 'instanceCreated', () => {
+				isUpgrading = fixture.nativeElement.classList.contains( 'ckeditor-upgrading' );
+			} );
+
+			component.data = '<p>foo</p>';
+
+			fixture.detectChanges();
+
+			expect( fixture.nativeElement.querySelector( '.ckeditor-preview' ) ).not.toBeNull();
+
+			await whenEvent( 'ready', component );
+
+			expect( isUpgrading ).toBeTrue();
+
+			expect( fixture.nativeElement.querySelector( '.ckeditor-preview' ) ).toBeNull();
+			expect( fixture.nativeElement.classList.contains( 'ckeditor-upgrading' ) ).toBeFalse();
+			expect( component.instance.getData() ).toEqual( '<p>foo</p>\n' );
+		} );
+	} );
+} );
+
 function wait( time ) {
 	return new Promise( resolve => {
 		setTimeout( resolve, time );
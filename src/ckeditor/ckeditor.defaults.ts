@@ -0,0 +1,95 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { InjectionToken, Provider } from '@angular/core';
+
+import { CKEditor4 } from './ckeditor';
+import { CKEditorDataFormat } from './ckeditor.format';
+import { CKEditorLazyMode } from './ckeditor.lazy';
+import { CKEditorLoaderOptions } from './ckeditor.loader';
+import { CKEditorSanitizer } from './ckeditor.sanitizer';
+
+/**
+ * Defines when the editor data changes are emitted, see `CKEditorComponent#dataChangeStrategy`.
+ */
+export type CKEditorDataChangeStrategy = 'immediate' | 'debounce' | 'blur' | 'idle';
+
+/**
+ * Default options shared by all `CKEditorComponent` instances in the application.
+ * Each option is overridden by the corresponding component input.
+ */
+export interface CKEditorDefaults {
+	/**
+	 * Default CKEditor 4 script url address, see `CKEditorComponent#editorUrl`.
+	 */
+	editorUrl?: string | string[];
+
+	/**
+	 * Default options of loading the CKEditor 4 script, see `CKEditorComponent#loaderOptions`.
+	 */
+	loader?: CKEditorLoaderOptions;
+
+	/**
+	 * Default editor configuration. The component `config` input is merged over it. The `config.on` listeners
+	 * are merged separately, so the component listeners replace the default ones only for the same events.
+	 */
+	config?: CKEditor4.Config;
+
+	/**
+	 * Default type of the editor interface, see `CKEditorComponent#type`.
+	 */
+	type?: CKEditor4.EditorType;
+
+	/**
+	 * Default tag name of the editor element, see `CKEditorComponent#tagName`.
+	 */
+	tagName?: string;
+
+	/**
+	 * Default strategy of emitting the editor data changes, see `CKEditorComponent#dataChangeStrategy`.
+	 */
+	dataChangeStrategy?: CKEditorDataChangeStrategy;
+
+	/**
+	 * Default time in milliseconds used by the `debounce` data change strategy, see `CKEditorComponent#dataChangeDebounce`.
+	 */
+	dataChangeDebounce?: number;
+
+	/**
+	 * Default format of the data bound to the component, see `CKEditorComponent#dataFormat`.
+	 */
+	dataFormat?: CKEditorDataFormat;
+
+	/**
+	 * Default mode of creating the editors lazily, see `CKEditorComponent#lazy`.
+	 */
+	lazy?: CKEditorLazyMode;
+
+	/**
+	 * Default sanitizer of the editor data, see `CKEditorComponent#sanitize`.
+	 */
+	sanitize?: boolean | CKEditorSanitizer;
+
+	/**
+	 * Callback executed once the CKEDITOR namespace is loaded, before any component emits `namespaceLoaded` event.
+	 * Can be used for global changes in the namespace, e.g. for adding external plugins.
+	 */
+	namespaceLoaded?: ( namespace: CKEditor4.Namespace ) => void;
+}
+
+/**
+ * The injection token of the defaults used by `CKEditorComponent`.
+ * Use `CKEditorModule.forRoot()` or `provideCKEditorDefaults()` to provide it.
+ */
+export const CKEDITOR_DEFAULTS = new InjectionToken<CKEditorDefaults>( 'CKEDITOR_DEFAULTS' );
+
+/**
+ * Returns the provider of the defaults used by all `CKEditorComponent` instances of the injector, e.g.:
+ *
+ *		providers: [ provideCKEditorDefaults( { editorUrl: '/assets/ckeditor/ckeditor.js' } ) ]
+ */
+export function provideCKEditorDefaults( defaults: CKEditorDefaults ): Provider {
+	return { provide: CKEDITOR_DEFAULTS, useValue: defaults };
+}
@@ -0,0 +1,131 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import waitUntil from 'wait-until-promise';
+import { NgZone } from '@angular/core';
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { of, throwError } from 'rxjs';
+
+import { CKEditorComponent } from './ckeditor.component';
+import { CKEditor4 } from './ckeditor';
+import { CKEditorDialogContext, CKEditorDialogValues, provideCKEditorDialog } from './ckeditor.dialog';
+import { whenEvent } from '../test.tools';
+
+declare var CKEDITOR: any;
+
+describe( 'CKEditorComponent with dialogs', () => {
+	const linkDialog = {
+		values: null as CKEditorDialogValues | null,
+		failure: null as Error | null,
+		contexts: [] as CKEditorDialogContext[],
+		isInAngularZone: false,
+
+		open( context: CKEditorDialogContext ) {
+			this.contexts.push( context );
+			this.isInAngularZone = NgZone.isInAngularZone();
+
+			return this.failure ? throwError( () => this.failure ) : of( this.values );
+		}
+	};
+
+	let fixture: ComponentFixture<CKEditorComponent>,
+		component: CKEditorComponent,
+		editor: CKEditor4.Editor;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ CKEditorComponent ],
+			providers: [ provideCKEditorDialog( 'link', linkDialog ) ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( async () => {
+		linkDialog.values = null;
+		linkDialog.failure = null;
+		linkDialog.contexts = [];
+
+		fixture = TestBed.createComponent( CKEditorComponent );
+		component = fixture.componentInstance;
+		component.data = '<p>foo</p>';
+
+		fixture.detectChanges();
+
+		await whenEvent( 'ready', component );
+
+		editor = component.instance;
+
+		const range = editor.createRange();
+
+		range.selectNodeContents( editor.editable().findOne( 'p' ) );
+		editor.getSelection().selectRanges( [ range ] );
+	} );
+
+	afterEach( () => {
+		const dialog = CKEDITOR.dialog.getCurrent();
+
+		if ( dialog ) {
+			dialog.hide();
+		}
+
+		fixture.destroy();
+	} );
+
+	it( 'should open the registered dialog with the selection context inside Angular zone', () => {
+		editor.execCommand( 'link' );
+
+		expect( linkDialog.contexts.length ).toEqual( 1 );
+		expect( linkDialog.contexts[ 0 ].name ).toEqual( 'link' );
+		expect( linkDialog.contexts[ 0 ].editor ).toBe( editor );
+		expect( linkDialog.contexts[ 0 ].selectedText ).toEqual( 'foo' );
+		expect( linkDialog.contexts[ 0 ].selectedElement.getName() ).toEqual( 'p' );
+		expect( linkDialog.isInAngularZone ).toBeTrue();
+		expect( CKEDITOR.dialog.getCurrent() ).toBeNull();
+	} );
+
+	it( 'should apply the returned values with the native dialog', async () => {
+		linkDialog.values = { info: { protocol: 'https://', url: 'ckeditor.com' } };
+
+		editor.execCommand( 'link' );
+
+		await waitUntil( () => editor.getData().indexOf( '<a' ) !== -1, 5000 );
+
+		expect( editor.getData() ).toEqual( '<p><a href="https://ckeditor.com">foo</a></p>\n' );
+		expect( CKEDITOR.dialog.getCurrent() ).toBeNull();
+	} );
+
+	it( 'should not change the content when the dialog is cancelled', async () => {
+		editor.execCommand( 'link' );
+
+		await Promise.resolve();
+
+		expect( editor.getData() ).toEqual( '<p>foo</p>\n' );
+		expect( CKEDITOR.dialog.getCurrent() ).toBeNull();
+	} );
+
+	it( 'should emit the dialog failure with the error output', async () => {
+		const failure = new Error( 'Dialog failed.' );
+		const errorSpy = jasmine.createSpy( 'error' );
+
+		linkDialog.failure = failure;
+		component.error.subscribe( errorSpy );
+
+		editor.execCommand( 'link' );
+
+		await waitUntil( () => errorSpy.calls.count() > 0 );
+
+		expect( errorSpy.calls.first().args[ 0 ].phase ).toEqual( 'dialog' );
+		expect( errorSpy.calls.first().args[ 0 ].cause ).toBe( failure );
+		expect( component.loadingState ).toEqual( 'ready' );
+	} );
+
+	it( 'should open the native dialog when no handler is registered', async () => {
+		editor.openDialog( 'anchor' );
+
+		await waitUntil( () => CKEDITOR.dialog.getCurrent(), 5000 );
+
+		expect( CKEDITOR.dialog.getCurrent().getName() ).toEqual( 'anchor' );
+		expect( linkDialog.contexts.length ).toEqual( 0 );
+	} );
+} );
@@ -0,0 +1,198 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { InjectionToken, NgZone, Provider, Type } from '@angular/core';
+import { firstValueFrom, isObservable, Observable } from 'rxjs';
+
+import { CKEditor4 } from './ckeditor';
+
+/**
+ * The values of the native dialog fields, grouped by the dialog page (tab) ids, e.g. `{ info: { url: 'ckeditor.com' } }`.
+ */
+export interface CKEditorDialogValues {
+	[ pageId: string ]: { [ elementId: string ]: any };
+}
+
+/**
+ * The context in which the dialog is opened.
+ */
+export interface CKEditorDialogContext {
+	/**
+	 * The name of the replaced dialog, e.g. `link`.
+	 */
+	name: string;
+
+	/**
+	 * The editor opening the dialog.
+	 */
+	editor: CKEditor4.Editor;
+
+	/**
+	 * The editor selection when the dialog was opened.
+	 */
+	selection: CKEditor4.dom.Selection | null;
+
+	/**
+	 * The selected element (e.g. the image) or the element containing the selection start.
+	 */
+	selectedElement: CKEditor4.dom.Element | null;
+
+	/**
+	 * The selected text.
+	 */
+	selectedText: string;
+}
+
+/**
+ * The dialog rendered by the application instead of the native editor dialog.
+ */
+export interface CKEditorDialogHandler {
+	/**
+	 * Opens the dialog. Returns the values which the native dialog should apply, or `null` if the dialog is cancelled.
+	 *
+	 * The values are set to the native dialog fields, which is then confirmed without being shown,
+	 * so the editor command applies them exactly as if they were typed into the native dialog.
+	 */
+	open( context: CKEditorDialogContext ): Promise<CKEditorDialogValues | null> | Observable<CKEditorDialogValues | null>;
+}
+
+/**
+ * The dialog handler registered for the given dialog name.
+ */
+export interface CKEditorDialogRegistration {
+	name: string;
+	handler: CKEditorDialogHandler;
+}
+
+/**
+ * The injection token of the dialogs replacing the native editor dialogs.
+ * Use `provideCKEditorDialog()` to register a dialog.
+ */
+export const CKEDITOR_DIALOGS = new InjectionToken<CKEditorDialogRegistration[]>( 'CKEDITOR_DIALOGS' );
+
+/**
+ * Returns the providers replacing the native editor dialog with the given handler, e.g.:
+ *
+ *		providers: [ provideCKEditorDialog( 'link', LinkDialogService ) ]
+ *
+ * The handler class is instantiated by the injector, so it can inject e.g. the CDK `Dialog` service.
+ * Native dialogs without a registered handler are used as before.
+ */
+export function provideCKEditorDialog( name: string, handler: Type<CKEditorDialogHandler> | CKEditorDialogHandler ): Provider[] {
+	if ( typeof handler !== 'function' ) {
+		return [ { provide: CKEDITOR_DIALOGS, useValue: { name, handler }, multi: true } ];
+	}
+
+	return [
+		handler,
+		{
+			provide: CKEDITOR_DIALOGS,
+			useFactory: ( instance: CKEditorDialogHandler ) => ( { name, handler: instance } ),
+			deps: [ handler ],
+			multi: true
+		}
+	];
+}
+
+/**
+ * Replaces the native editor dialogs with the registered handlers. Must be called once the editor plugins are loaded.
+ * The failures of the handlers are passed to `onError`.
+ */
+export function replaceDialogs(
+	editor: CKEditor4.Editor,
+	registrations: CKEditorDialogRegistration[],
+	ngZone: NgZone,
+	onError: ( err: unknown ) => void
+): void {
+	const nativeOpenDialog = editor.openDialog;
+
+	if ( typeof nativeOpenDialog !== 'function' ) {
+		return;
+	}
+
+	editor.openDialog = ( name: string, callback?: ( dialog: CKEditor4.Dialog ) => void ) => {
+		const registration = registrations.filter( item => item.name === name ).pop();
+
+		if ( !registration ) {
+			return nativeOpenDialog.call( editor, name, callback );
+		}
+
+		const context = getContext( editor, name );
+
+		// Keep the selection while the focus is in the dialog, like the native dialogs do.
+		editor.lockSelection();
+
+		ngZone.run( () => toPromise( registration.handler.open( context ) ) ).then( values => {
+			editor.unlockSelection( true );
+
+			if ( values && editor.status !== 'destroyed' ) {
+				ngZone.runOutsideAngular( () => applyValues( editor, name, values, nativeOpenDialog, callback ) );
+			}
+		}, err => {
+			editor.unlockSelection( true );
+			onError( err );
+		} );
+
+		return null;
+	};
+}
+
+function getContext( editor: CKEditor4.Editor, name: string ): CKEditorDialogContext {
+	const selection = editor.getSelection();
+
+	return {
+		name,
+		editor,
+		selection,
+		selectedElement: selection ? selection.getSelectedElement() || selection.getStartElement() : null,
+		selectedText: selection ? selection.getSelectedText() : ''
+	};
+}
+
+function applyValues(
+	editor: CKEditor4.Editor,
+	name: string,
+	values: CKEditorDialogValues,
+	nativeOpenDialog: CKEditor4.Editor[ 'openDialog' ],
+	callback?: ( dialog: CKEditor4.Dialog ) => void
+): void {
+	nativeOpenDialog.call( editor, name, ( dialog: CKEditor4.Dialog ) => {
+		const element = dialog.getElement();
+
+		element.setStyle( 'visibility', 'hidden' );
+
+		if ( callback ) {
+			callback( dialog );
+		}
+
+		// Run after the dialog fills its fields with the data of the selected element.
+		dialog.once( 'show', () => {
+			let isHidden = false;
+
+			// The dialog instance is reused by the editor, so it must be visible next time.
+			dialog.once( 'hide', () => {
+				isHidden = true;
+				element.removeStyle( 'visibility' );
+			} );
+
+			Object.keys( values ).forEach( pageId => {
+				Object.keys( values[ pageId ] ).forEach( elementId => {
+					dialog.setValueOf( pageId, elementId, values[ pageId ][ elementId ] );
+				} );
+			} );
+
+			dialog.click( 'ok' );
+
+			// The values didn't pass the dialog validation, so let the user correct them in the native dialog.
+			if ( !isHidden ) {
+				element.removeStyle( 'visibility' );
+			}
+		}, null, null, 1000 );
+	} );
+}
+
+function toPromise<T>( result: Promise<T> | Observable<T> ): Promise<T | null> {
+	return isObservable( result ) ? firstValueFrom( result, { defaultValue: null } ) : Promise.resolve( result );
+}
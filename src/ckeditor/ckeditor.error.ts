@@ -0,0 +1,48 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/**
+ * The phase of the component lifecycle in which `CKEditorError` occurred:
+ *
+ * * `load` – the CKEditor 4 script could not be loaded,
+ * * `create` – the editor could not be created, e.g. `CKEDITOR.replace()` threw,
+ * * `destroy` – the component was destroyed before the editor was ready,
+ * * `dialog` – the dialog replacing the native editor dialog failed, see `provideCKEditorDialog()`,
+ * * `restore` – the autosaved draft could not be restored, see `CKEditorComponent#autosave`,
+ * * `sanitize` – the data could not be sanitized and was replaced with the safe fallback, see `CKEditorComponent#sanitize`.
+ */
+export type CKEditorErrorPhase = 'load' | 'create' | 'destroy' | 'dialog' | 'restore' | 'sanitize';
+
+const messages: { [ phase in CKEditorErrorPhase ]: string } = {
+	load: 'CKEditor 4 script could not be loaded.',
+	create: 'CKEditor 4 instance could not be created.',
+	destroy: 'Component was destroyed before CKEditor 4 instance was ready.',
+	dialog: 'CKEditor 4 dialog could not be opened.',
+	restore: 'CKEditor 4 autosaved draft could not be restored.',
+	sanitize: 'CKEditor 4 data could not be sanitized.'
+};
+
+/**
+ * The error emitted by the `CKEditorComponent#error` output.
+ */
+export class CKEditorError extends Error {
+	/**
+	 * @param phase The phase of the component lifecycle in which the error occurred.
+	 * @param cause The original error, if any.
+	 * @param editorUrl The CKEditor 4 script url address (or addresses) used by the component.
+	 */
+	constructor(
+		readonly phase: CKEditorErrorPhase,
+		readonly cause: unknown,
+		readonly editorUrl: string | string[]
+	) {
+		super( messages[ phase ] );
+
+		// Keep `instanceof` working when compiled to ES5.
+		Object.setPrototypeOf( this, CKEditorError.prototype );
+
+		this.name = 'CKEditorError';
+	}
+}
@@ -0,0 +1,204 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { CKEditorComponent } from './ckeditor.component';
+import { textDataConverter } from './ckeditor.format';
+import { htmlToMarkdown, markdownToHtml } from './ckeditor.markdown';
+import { whenDataReady, whenEvent } from '../test.tools';
+
+describe( 'markdownToHtml', () => {
+	it( 'should convert the paragraphs and the inline formatting', () => {
+		expect( markdownToHtml( '**foo** *bar* ~~baz~~ `<qux>` snake_case\\\nnext\n\nsecond' ) ).toEqual(
+			'<p><strong>foo</strong> <em>bar</em> <s>baz</s> <code>&lt;qux&gt;</code> snake_case<br>next</p><p>second</p>'
+		);
+	} );
+
+	it( 'should convert the links and images', () => {
+		expect( markdownToHtml( '[foo](https://ckeditor.com "CKEditor") ![bar](/bar.png)' ) ).toEqual(
+			'<p><a href="https://ckeditor.com" title="CKEditor">foo</a> <img alt="bar" src="/bar.png"></p>'
+		);
+	} );
+
+	it( 'should keep the links with balanced parentheses', () => {
+		expect( markdownToHtml( '[foo](https://en.wikipedia.org/wiki/Foo_(bar)) baz)' ) ).toEqual(
+			'<p><a href="https://en.wikipedia.org/wiki/Foo_(bar)">foo</a> baz)</p>'
+		);
+	} );
+
+	it( 'should not convert the links and images with unsafe URLs', () => {
+		expect( markdownToHtml( '[foo](javascript:alert(1)) [bar](vbscript:msgbox) [baz](data:text/html,qux)' ) ).toEqual(
+			'<p>foo bar baz</p>'
+		);
+		expect( markdownToHtml( '![foo](javascript:alert(1)) ![bar](data:image/png;base64,AA==)' ) ).toEqual(
+			'<p>foo <img alt="bar" src="data:image/png;base64,AA=="></p>'
+		);
+	} );
+
+	it( 'should convert the nested lists', () => {
+		expect( markdownToHtml( '- foo\n  1. bar\n  2. baz\n- qux' ) ).toEqual(
+			'<ul><li>foo<ol><li>bar</li><li>baz</li></ol></li><li>qux</li></ul>'
+		);
+	} );
+
+	it( 'should start a new list when the marker type changes', () => {
+		expect( markdownToHtml( '- foo\n- bar\n\n1. one\n2. two' ) ).toEqual(
+			'<ul><li>foo</li><li>bar</li></ul><ol><li>one</li><li>two</li></ol>'
+		);
+		expect( markdownToHtml( '- foo\n* bar\n1) baz' ) ).toEqual( '<ul><li>foo</li></ul><ul><li>bar</li></ul><ol><li>baz</li></ol>' );
+	} );
+
+	it( 'should convert the tables', () => {
+		expect( markdownToHtml( '| foo | bar |\n| --- | :---: |\n| a \\| b | c |' ) ).toEqual(
+			'<table><thead><tr><th>foo</th><th style="text-align:center">bar</th></tr></thead>' +
+			'<tbody><tr><td>a | b</td><td style="text-align:center">c</td></tr></tbody></table>'
+		);
+	} );
+
+	it( 'should convert the code blocks, headings and quotes', () => {
+		expect( markdownToHtml( '# Foo\n\n```js\nif ( a < b ) {}\n```\n\n> quote' ) ).toEqual(
+			'<h1>Foo</h1><pre><code class="language-js">if ( a &lt; b ) {}</code></pre><blockquote><p>quote</p></blockquote>'
+		);
+	} );
+
+	it( 'should escape the raw HTML', () => {
+		expect( markdownToHtml( '<script>alert( 1 )</script>' ) ).toEqual( '<p>&lt;script&gt;alert( 1 )&lt;/script&gt;</p>' );
+	} );
+} );
+
+describe( 'htmlToMarkdown', () => {
+	it( 'should convert the paragraphs and the inline formatting', () => {
+		expect( htmlToMarkdown( '<p><strong>foo </strong><em>bar</em> <u>baz</u> snake_case *<br>next</p>\n\n<p>&nbsp;</p>' ) )
+			.toEqual( '**foo** *bar* baz snake_case \\*\\\nnext' );
+	} );
+
+	it( 'should escape the text parsed as a block', () => {
+		expect( htmlToMarkdown( '<p># foo</p><p>1. bar</p><p>- baz</p>' ) ).toEqual( '\\# foo\n\n1\\. bar\n\n\\- baz' );
+	} );
+
+	it( 'should convert the nested lists', () => {
+		expect( htmlToMarkdown( '<ul><li>foo<ol start="2"><li>bar</li><li>baz</li></ol></li><li>qux</li></ul>' ) )
+			.toEqual( '- foo\n  2. bar\n  3. baz\n- qux' );
+	} );
+
+	it( 'should convert the tables', () => {
+		const html = '<table><tbody><tr><td>foo</td><td style="text-align:right">bar</td></tr><tr><td>a|b</td></tr></tbody></table>';
+
+		expect( htmlToMarkdown( html ) ).toEqual( '| foo | bar |\n| --- | ---: |\n| a\\|b |  |' );
+	} );
+
+	it( 'should convert the code blocks', () => {
+		expect( htmlToMarkdown( '<pre><code class="language-js">a ```\nb</code></pre>' ) ).toEqual( '````js\na ```\nb\n````' );
+	} );
+
+	it( 'should keep the Markdown after the round trip', () => {
+		const markdown = [
+			'## Foo',
+			'Some **bold**, *italic* and `code` with [a link](https://ckeditor.com).',
+			'1. foo\n2. bar\n   - baz',
+			'> quote',
+			'| a | b |\n| :--- | --- |\n| c | d |',
+			'```ts\nconst a = 1;\n```',
+			'---'
+		].join( '\n\n' );
+
+		expect( htmlToMarkdown( markdownToHtml( markdown ) ) ).toEqual( markdown );
+	} );
+
+	it( 'should keep the adjacent lists after the round trip', () => {
+		[
+			'<ul><li>a</li><li>b</li></ul><ol><li>one</li><li>two</li></ol>',
+			'<ol><li>one</li></ol><ul><li>a</li></ul>',
+			'<ul><li>a</li></ul><ul><li>b</li></ul><ul><li>c</li></ul>',
+			'<ol><li>one</li></ol><ol start="3"><li>three</li></ol>',
+			'<ul><li>a<ul><li>b</li></ul><ul><li>c</li></ul></li></ul>'
+		].forEach( html => {
+			expect( markdownToHtml( htmlToMarkdown( html ) ) ).toEqual( html );
+		} );
+
+		expect( htmlToMarkdown( '<ul><li>a</li></ul><ul><li>b</li></ul>' ) ).toEqual( '- a\n\n* b' );
+	} );
+
+	it( 'should keep the paragraphs looking like the horizontal rule after the round trip', () => {
+		[ '<p>---</p>', '<p>***</p>', '<p>___</p>', '<p>-- -</p>', '<p>foo<br>---</p>' ].forEach( html => {
+			expect( markdownToHtml( htmlToMarkdown( html ) ) ).toEqual( html );
+		} );
+
+		expect( htmlToMarkdown( '<p>---</p>' ) ).toEqual( '\\---' );
+	} );
+} );
+
+describe( 'textDataConverter', () => {
+	it( 'should keep the lines and spaces after the round trip', () => {
+		const text = 'foo  bar\n\n <baz> &';
+
+		expect( textDataConverter.toHtml( text ) ).toEqual( '<p>foo&nbsp; bar</p><p>&nbsp;</p><p>&nbsp;&lt;baz&gt; &amp;</p>' );
+		expect( textDataConverter.fromHtml( textDataConverter.toHtml( text ) ) ).toEqual( text );
+	} );
+
+	it( 'should convert the blocks and line breaks to lines', () => {
+		expect( textDataConverter.fromHtml( '<h1>foo</h1>\n\n<p><strong>bar</strong><br>baz</p>\n\n<ul><li>a</li><li>b</li></ul>' ) )
+			.toEqual( 'foo\nbar\nbaz\na\nb' );
+	} );
+} );
+
+describe( 'CKEditorComponent with data format', () => {
+	let fixture: ComponentFixture<CKEditorComponent>,
+		component: CKEditorComponent;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ CKEditorComponent ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( async () => {
+		fixture = TestBed.createComponent( CKEditorComponent );
+		component = fixture.componentInstance;
+		component.dataFormat = 'markdown';
+		component.data = '**foo**';
+
+		fixture.detectChanges();
+
+		await whenEvent( 'ready', component );
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should set the converted data to the editor', () => {
+		expect( component.instance.getData() ).toEqual( '<p><strong>foo</strong></p>\n' );
+		expect( component.data ).toEqual( '**foo**' );
+	} );
+
+	it( 'should emit the converted data', async () => {
+		const changeSpy = jasmine.createSpy( 'onChange' );
+		const dataChangeSpy = jasmine.createSpy( 'dataChange' );
+
+		component.registerOnChange( changeSpy );
+		component.dataChange.subscribe( dataChangeSpy );
+
+		await whenDataReady( component.instance, () => component.instance.setData( '<ul><li>foo</li><li><a href="/bar">bar</a></li></ul>' ) );
+
+		component.instance.fire( 'change' );
+
+		expect( changeSpy ).toHaveBeenCalledWith( '- foo\n- [bar](/bar)' );
+		expect( dataChangeSpy ).toHaveBeenCalledWith( '- foo\n- [bar](/bar)' );
+	} );
+
+	it( 'should use the custom converter', async () => {
+		component.dataFormat = {
+			toHtml: data => `<p>${ data }</p>`,
+			fromHtml: html => html.replace( /<\/?p>|\n/g, '' )
+		};
+
+		await whenDataReady( component.instance, () => component.writeValue( 'bar' ) );
+
+		expect( component.instance.getData() ).toEqual( '<p>bar</p>\n' );
+		expect( component.data ).toEqual( 'bar' );
+	} );
+} );
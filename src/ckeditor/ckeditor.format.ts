@@ -0,0 +1,135 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { htmlToMarkdown, markdownToHtml } from './ckeditor.markdown';
+
+/**
+ * Converts the data bound to the component from and to the editor HTML, see `CKEditorComponent#dataFormat`.
+ */
+export interface CKEditorDataConverter {
+	toHtml( data: string ): string;
+
+	fromHtml( html: string ): string;
+}
+
+/**
+ * The format of the data bound to the component, see `CKEditorComponent#dataFormat`.
+ */
+export type CKEditorDataFormat = 'html' | 'markdown' | 'text' | CKEditorDataConverter;
+
+/**
+ * Converts the Markdown, see `markdownToHtml()` and `htmlToMarkdown()` for the supported syntax.
+ */
+export const markdownDataConverter: CKEditorDataConverter = {
+	toHtml: markdownToHtml,
+	fromHtml: htmlToMarkdown
+};
+
+/**
+ * Converts the plain text. Each line of the text is a paragraph of the editor, so the empty lines and
+ * the spaces are kept. Converting the HTML keeps the lines of the blocks and the line breaks, and separates
+ * the table cells with tabs. The formatting is dropped.
+ */
+export const textDataConverter: CKEditorDataConverter = {
+	toHtml: textToHtml,
+	fromHtml: htmlToText
+};
+
+const BLOCK_ELEMENTS = [
+	'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3',
+	'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'section', 'table', 'tr', 'ul'
+];
+
+/**
+ * Returns the converter of the given data format or `null` for the HTML.
+ */
+export function getDataConverter( format: CKEditorDataFormat ): CKEditorDataConverter | null {
+	switch ( format ) {
+		case 'markdown':
+			return markdownDataConverter;
+		case 'text':
+			return textDataConverter;
+		case 'html':
+			return null;
+		default:
+			return format || null;
+	}
+}
+
+function textToHtml( text: string ): string {
+	if ( !text ) {
+		return '';
+	}
+
+	return text.split( /\r\n?|\n/ ).map( line => {
+		// Keep the leading and consecutive spaces, which would be collapsed in the HTML.
+		const content = line
+			.replace( /&/g, '&amp;' )
+			.replace( /</g, '&lt;' )
+			.replace( />/g, '&gt;' )
+			.replace( /^ | (?= )| $/g, '&nbsp;' );
+
+		return `<p>${ content || '&nbsp;' }</p>`;
+	} ).join( '' );
+}
+
+function htmlToText( html: string ): string {
+	if ( !html ) {
+		return '';
+	}
+
+	const body = document.implementation.createHTMLDocument( '' ).body;
+	const lines: string[] = [];
+	let line: string | null = null;
+
+	// Non-breaking spaces are kept as spaces, other whitespace is collapsed like in the HTML.
+	const breakLine = () => {
+		if ( line !== null ) {
+			const text = line.replace( /^ +| +$/g, '' ).replace( /\u00a0/g, ' ' );
+
+			lines.push( text.trim() ? text : '' );
+			line = null;
+		}
+	};
+
+	const visit = ( node: Node ) => {
+		const name = node.nodeName.toLowerCase();
+
+		if ( node.nodeType === Node.TEXT_NODE ) {
+			const text = node.nodeValue.replace( /[\t\n\r ]+/g, ' ' );
+
+			// Skip the whitespace formatting the HTML between the blocks.
+			if ( line !== null || text !== ' ' ) {
+				line = ( line || '' ) + text;
+			}
+		} else if ( name === 'br' ) {
+			line = line || '';
+			breakLine();
+		} else if ( name === 'pre' ) {
+			breakLine();
+			lines.push( ...node.textContent.replace( /\u00a0/g, ' ' ).replace( /\n$/, '' ).split( '\n' ) );
+		} else if ( node.nodeType === Node.ELEMENT_NODE ) {
+			const isBlock = BLOCK_ELEMENTS.indexOf( name ) !== -1;
+
+			if ( isBlock ) {
+				breakLine();
+			} else if ( ( name === 'td' || name === 'th' ) && ( node as Element ).previousElementSibling ) {
+				line = ( line || '' ) + '\t';
+			}
+
+			Array.from( node.childNodes ).forEach( visit );
+
+			if ( isBlock ) {
+				breakLine();
+			}
+		}
+	};
+
+	body.innerHTML = html;
+	Array.from( body.childNodes ).forEach( visit );
+	breakLine();
+
+	return lines.join( '\n' );
+}
@@ -0,0 +1,141 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { Component, SimpleChange } from '@angular/core';
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { FormsModule } from '@angular/forms';
+import { By } from '@angular/platform-browser';
+
+import { CKEditorInlineDirective } from './ckeditor.inline.directive';
+import { whenDataReady, whenEvent } from '../test.tools';
+
+describe( 'CKEditorInlineDirective', () => {
+	@Component( {
+		selector: 'inline-editor',
+		standalone: true,
+		imports: [ CKEditorInlineDirective, FormsModule ],
+		template: `<article ckeditor class="post" style="color: red"><h1>Foo</h1><p>bar</p></article>
+			<div ckeditor [(ngModel)]="content"></div>`
+	} )
+	class InlineEditorComponent {
+		content = '<p>baz</p>';
+	}
+
+	let fixture: ComponentFixture<InlineEditorComponent>,
+		article: CKEditorInlineDirective,
+		div: CKEditorInlineDirective;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ InlineEditorComponent ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( async () => {
+		fixture = TestBed.createComponent( InlineEditorComponent );
+		[ article, div ] = fixture.debugElement.queryAll( By.directive( CKEditorInlineDirective ) )
+			.map( debugElement => debugElement.injector.get( CKEditorInlineDirective ) );
+
+		fixture.detectChanges();
+
+		await Promise.all( [ whenEvent( 'ready', article ), whenEvent( 'ready', div ) ] );
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should turn the element into the inline editor keeping its content and styles', () => {
+		const element: HTMLElement = fixture.nativeElement.querySelector( 'article' );
+
+		expect( article.instance.element.$ ).toBe( element );
+		expect( article.instance.editable().isInline() ).toBeTrue();
+		expect( article.instance.getData() ).toEqual( '<h1>Foo</h1>\n\n<p>bar</p>\n' );
+		expect( element.getAttribute( 'contenteditable' ) ).toEqual( 'true' );
+		expect( element.classList.contains( 'post' ) ).toBeTrue();
+		expect( element.style.color ).toEqual( 'red' );
+		expect( article.data ).toBeNull();
+	} );
+
+	it( 'should bind the data with ngModel', async () => {
+		expect( div.instance.getData() ).toEqual( '<p>baz</p>\n' );
+
+		await whenDataReady( div.instance, () => div.instance.setData( '<p>qux</p>' ) );
+
+		expect( fixture.componentInstance.content ).toEqual( '<p>qux</p>\n' );
+	} );
+
+	it( 'should emit the data changes', async () => {
+		const dataChangeSpy = jasmine.createSpy( 'dataChange' );
+
+		article.dataChange.subscribe( dataChangeSpy );
+
+		await whenDataReady( article.instance, () => article.instance.setData( '<p>foo</p>' ) );
+
+		expect( dataChangeSpy ).toHaveBeenCalledWith( '<p>foo</p>\n' );
+	} );
+
+	it( 'should keep the element with the edited content once destroyed', async () => {
+		const element: HTMLElement = fixture.nativeElement.querySelector( 'article' );
+
+		await whenDataReady( article.instance, () => article.instance.setData( '<p>foo</p>' ) );
+
+		article.ngOnDestroy();
+
+		expect( element.isConnected ).toBeTrue();
+		expect( element.innerHTML.trim() ).toEqual( '<p>foo</p>' );
+		expect( element.hasAttribute( 'contenteditable' ) ).toBeFalse();
+	} );
+} );
+
+describe( 'CKEditorInlineDirective with undefined model', () => {
+	@Component( {
+		selector: 'undefined-model-editor',
+		standalone: true,
+		imports: [ CKEditorInlineDirective, FormsModule ],
+		template: `<article ckeditor [(ngModel)]="content"><p>foo</p></article>`
+	} )
+	class UndefinedModelEditorComponent {
+		content: string;
+	}
+
+	let fixture: ComponentFixture<UndefinedModelEditorComponent>,
+		directive: CKEditorInlineDirective;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ UndefinedModelEditorComponent ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( async () => {
+		fixture = TestBed.createComponent( UndefinedModelEditorComponent );
+		directive = fixture.debugElement.query( By.directive( CKEditorInlineDirective ) ).injector.get( CKEditorInlineDirective );
+
+		fixture.detectChanges();
+
+		await whenEvent( 'ready', directive );
+		await fixture.whenStable();
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should keep the element content', () => {
+		expect( directive.instance.getData() ).toEqual( '<p>foo</p>\n' );
+	} );
+
+	it( 'should not recreate the editor when type or tagName changes', () => {
+		const editor = directive.instance;
+
+		directive.ngOnChanges( {
+			type: new SimpleChange( undefined, 'divarea', false ),
+			tagName: new SimpleChange( undefined, 'div', false )
+		} );
+
+		expect( directive.instance ).toBe( editor );
+	} );
+} );
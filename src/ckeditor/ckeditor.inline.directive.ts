@@ -0,0 +1,71 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import {
+	Directive,
+	forwardRef
+} from '@angular/core';
+
+import { NG_VALUE_ACCESSOR } from '@angular/forms';
+
+import { CKEditor4 } from './ckeditor';
+import { CKEditorBase } from './ckeditor.base';
+
+/**
+ * Turns the element it's placed on into an inline editor, keeping the element content and styles, e.g.:
+ *
+ *		<article ckeditor [(ngModel)]="article" [config]="{ removePlugins: 'image' }">
+ *			<h1>Lorem ipsum</h1>
+ *		</article>
+ *
+ * It has the same inputs, outputs and form control behavior as `CKEditorComponent`, except for `type` and `tagName`
+ * which are ignored. The content of the element is replaced only with the bound data (e.g. with `ngModel`).
+ */
+@Directive( {
+	selector: '[ckeditor]',
+	standalone: true,
+
+	providers: [
+		{
+			provide: NG_VALUE_ACCESSOR,
+			useExisting: forwardRef( () => CKEditorInlineDirective ),
+			multi: true
+		}
+	]
+} )
+export class CKEditorInlineDirective extends CKEditorBase {
+	/**
+	 * The directive has no preview, the element content is shown until the editor is ready.
+	 */
+	get isPreviewShown(): boolean {
+		return false;
+	}
+
+	protected get editorType(): CKEditor4.EditorType {
+		return CKEditor4.EditorType.INLINE;
+	}
+
+	/**
+	 * The `type` and `tagName` inputs are ignored, so they don't recreate the editor.
+	 */
+	protected get recreatingInputs(): string[] {
+		return [ 'config', 'sharedSpaces' ];
+	}
+
+	protected createEditorElement(): HTMLElement {
+		return this.elementRef.nativeElement;
+	}
+
+	protected removeEditorElement(): void {
+		// The element belongs to the template, the editor only leaves it when destroyed.
+	}
+
+	/**
+	 * The editor is bound to the element, so it can't be reused by another directive.
+	 */
+	protected getPoolKey(): string | null {
+		return null;
+	}
+}
@@ -0,0 +1,132 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import waitUntil from 'wait-until-promise';
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { CKEditor4 } from './ckeditor';
+import { CKEditorComponent } from './ckeditor.component';
+import { whenActivated } from './ckeditor.lazy';
+import { whenEvent } from '../test.tools';
+
+describe( 'whenActivated', () => {
+	let element: HTMLElement;
+
+	beforeEach( () => {
+		element = document.createElement( 'div' );
+		document.body.appendChild( element );
+	} );
+
+	afterEach( () => {
+		element.remove();
+	} );
+
+	it( 'should activate the element when clicked', () => {
+		const spy = jasmine.createSpy( 'activated' );
+
+		whenActivated( element, 'interaction', spy );
+		element.click();
+		element.click();
+
+		expect( spy ).toHaveBeenCalledOnceWith( 'interaction' );
+	} );
+
+	it( 'should activate the element when visible', async () => {
+		const spy = jasmine.createSpy( 'activated' );
+
+		whenActivated( element, 'visible', spy );
+
+		await waitUntil( () => spy.calls.count(), 1000 );
+
+		expect( spy ).toHaveBeenCalledOnceWith( 'visible' );
+	} );
+
+	it( 'should not activate the hidden element in the interaction mode', async () => {
+		const spy = jasmine.createSpy( 'activated' );
+
+		whenActivated( element, 'interaction', spy );
+
+		await new Promise( resolve => setTimeout( resolve, 100 ) );
+
+		expect( spy ).not.toHaveBeenCalled();
+	} );
+
+	it( 'should not activate the element once cancelled', () => {
+		const spy = jasmine.createSpy( 'activated' );
+
+		whenActivated( element, 'interaction', spy )();
+		element.click();
+
+		expect( spy ).not.toHaveBeenCalled();
+	} );
+} );
+
+describe( 'CKEditorComponent with lazy mode', () => {
+	let fixture: ComponentFixture<CKEditorComponent>,
+		component: CKEditorComponent;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ CKEditorComponent ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( () => {
+		fixture = TestBed.createComponent( CKEditorComponent );
+		component = fixture.componentInstance;
+		component.lazy = 'interaction';
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should show the preview until the component is clicked', async () => {
+		fixture.detectChanges();
+		component.writeValue( '<p>foo</p>' );
+		fixture.detectChanges();
+
+		const preview: HTMLElement = fixture.nativeElement.querySelector( '.ckeditor-preview' );
+
+		expect( preview.innerHTML ).toEqual( '<p>foo</p>' );
+		expect( preview.getAttribute( 'tabindex' ) ).toEqual( '0' );
+		expect( component.isLazyPending ).toBeTrue();
+
+		preview.click();
+
+		await whenEvent( 'ready', component );
+
+		expect( component.instance.getData() ).toEqual( '<p>foo</p>\n' );
+		expect( component.instance.focusManager.hasFocus ).toBeTrue();
+		expect( fixture.nativeElement.querySelector( '.ckeditor-preview' ) ).toBeNull();
+	} );
+
+	it( 'should show the focusable placeholder without the data', async () => {
+		component.type = CKEditor4.EditorType.INLINE;
+		fixture.detectChanges();
+
+		const preview: HTMLElement = fixture.nativeElement.querySelector( '.ckeditor-preview' );
+
+		expect( preview.innerHTML ).toEqual( '' );
+		expect( preview.getAttribute( 'tabindex' ) ).toEqual( '0' );
+		expect( preview.offsetHeight ).toBeGreaterThan( 0 );
+
+		preview.focus();
+
+		await whenEvent( 'ready', component );
+
+		expect( component.instance ).toBeTruthy();
+	} );
+
+	it( 'should not emit the error when destroyed before the activation', () => {
+		const errorSpy = jasmine.createSpy( 'error' );
+
+		component.error.subscribe( errorSpy );
+		fixture.detectChanges();
+		fixture.destroy();
+
+		expect( errorSpy ).not.toHaveBeenCalled();
+	} );
+} );
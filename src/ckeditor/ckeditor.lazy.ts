@@ -0,0 +1,74 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/**
+ * Defines when the lazy editor is created, see `CKEditorComponent#lazy`:
+ *
+ * * `visible` (or `true`) – once the component is scrolled into view, focused or clicked,
+ * * `interaction` – once the component is focused or clicked.
+ */
+export type CKEditorLazyMode = boolean | 'visible' | 'interaction';
+
+/**
+ * The way the lazy editor was activated.
+ */
+export type CKEditorLazyTrigger = 'visible' | 'interaction';
+
+/**
+ * The margin around the viewport in which the component is considered visible, so the editor is usually ready
+ * before the user scrolls to it.
+ */
+const ROOT_MARGIN = '200px';
+
+/**
+ * Executes the callback once the element is activated according to the given lazy mode. Returns the function
+ * cancelling it. If `IntersectionObserver` isn't supported, the `visible` mode activates the element at once.
+ */
+export function whenActivated(
+	element: HTMLElement,
+	mode: CKEditorLazyMode,
+	callback: ( trigger: CKEditorLazyTrigger ) => void
+): () => void {
+	let observer: IntersectionObserver | null = null;
+
+	function cancel(): void {
+		element.removeEventListener( 'focusin', onInteraction );
+		element.removeEventListener( 'click', onInteraction );
+
+		if ( observer ) {
+			observer.disconnect();
+		}
+	}
+
+	function activate( trigger: CKEditorLazyTrigger ): void {
+		cancel();
+		callback( trigger );
+	}
+
+	function onInteraction(): void {
+		activate( 'interaction' );
+	}
+
+	element.addEventListener( 'focusin', onInteraction );
+	element.addEventListener( 'click', onInteraction );
+
+	if ( mode !== 'interaction' ) {
+		if ( typeof IntersectionObserver !== 'function' ) {
+			activate( 'visible' );
+
+			return cancel;
+		}
+
+		observer = new IntersectionObserver( entries => {
+			if ( entries.some( entry => entry.isIntersecting ) ) {
+				activate( 'visible' );
+			}
+		}, { rootMargin: ROOT_MARGIN } );
+
+		observer.observe( element );
+	}
+
+	return cancel;
+}
@@ -0,0 +1,148 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { loadScript } from './ckeditor.loader';
+
+describe( 'loadScript', () => {
+	const globalName = '__ckeditorLoaderTest';
+	const getGlobal = () => window[ globalName ];
+	let urls: string[];
+
+	// Blob URLs stand in for a static server, so the tests don't depend on the network.
+	function createScriptUrl( content: string ): string {
+		const url = URL.createObjectURL( new Blob( [ content ], { type: 'text/javascript' } ) );
+
+		urls.push( url );
+
+		return url;
+	}
+
+	function createMissingScriptUrl(): string {
+		const url = createScriptUrl( '' );
+
+		URL.revokeObjectURL( url );
+
+		return url;
+	}
+
+	function getScripts( url: string ): HTMLScriptElement[] {
+		return Array.from( document.querySelectorAll<HTMLScriptElement>( `script[src="${ url }"]` ) );
+	}
+
+	beforeEach( () => {
+		urls = [];
+		delete window[ globalName ];
+	} );
+
+	afterEach( () => {
+		urls.forEach( url => {
+			getScripts( url ).forEach( script => script.remove() );
+			URL.revokeObjectURL( url );
+		} );
+
+		delete window[ globalName ];
+	} );
+
+	it( 'should resolve with the global value provided by the script', async () => {
+		const url = createScriptUrl( `window.${ globalName } = 'foo';` );
+
+		await expectAsync( loadScript( url, {}, getGlobal ) ).toBeResolvedTo( 'foo' );
+		expect( getScripts( url ).length ).toEqual( 1 );
+	} );
+
+	it( 'should reject when the script does not provide the global value', async () => {
+		const url = createScriptUrl( '' );
+
+		await expectAsync( loadScript( url, {}, getGlobal ) ).toBeRejectedWithError( /doesn't provide CKEDITOR namespace/ );
+		expect( getScripts( url ).length ).toEqual( 0 );
+	} );
+
+	it( 'should reject when no url is given', async () => {
+		await expectAsync( loadScript( [], {}, getGlobal ) ).toBeRejectedWithError( TypeError );
+	} );
+
+	it( 'should try the fallback urls in the given order', async () => {
+		const missingUrl = createMissingScriptUrl();
+		const fallbackUrl = createScriptUrl( `window.${ globalName } = 'fallback';` );
+		const unusedUrl = createScriptUrl( `window.${ globalName } = 'unused';` );
+
+		await expectAsync( loadScript( [ missingUrl, fallbackUrl, unusedUrl ], {}, getGlobal ) ).toBeResolvedTo( 'fallback' );
+		expect( getScripts( missingUrl ).length ).toEqual( 0 );
+		expect( getScripts( unusedUrl ).length ).toEqual( 0 );
+	} );
+
+	it( 'should reject with the errors of all attempts when every url fails', async () => {
+		const missingUrls = [ createMissingScriptUrl(), createMissingScriptUrl() ];
+
+		await expectAsync( loadScript( missingUrls, {}, getGlobal ) )
+			.toBeRejectedWithError( `CKEditor 4 script could not be loaded:\nFailed to load ${ missingUrls[ 0 ] }.\n` +
+				`Failed to load ${ missingUrls[ 1 ] }.` );
+	} );
+
+	it( 'should retry loading with increasing delay', async () => {
+		const missingUrl = createMissingScriptUrl();
+		const appendSpy = spyOn( document.head, 'appendChild' ).and.callThrough();
+		const timeoutSpy = spyOn( window, 'setTimeout' ).and.callThrough();
+
+		await expectAsync( loadScript( missingUrl, { retries: 2, retryDelay: 10 }, getGlobal ) ).toBeRejected();
+
+		const delays = timeoutSpy.calls.allArgs().map( args => args[ 1 ] );
+
+		expect( appendSpy ).toHaveBeenCalledTimes( 3 );
+		expect( delays ).toContain( 10 );
+		expect( delays ).toContain( 20 );
+	} );
+
+	it( 'should fail the attempt after the timeout', async () => {
+		const url = createScriptUrl( `window.${ globalName } = 'foo';` );
+
+		// The script is never appended, so it never loads.
+		spyOn( document.head, 'appendChild' );
+
+		await expectAsync( loadScript( url, { timeout: 10 }, getGlobal ) ).toBeRejectedWithError( /timed out after 10ms/ );
+	} );
+
+	it( 'should use the script which loaded after the timeout instead of loading it again', async () => {
+		const url = createScriptUrl( `window.${ globalName } = ( window.${ globalName } || 0 ) + 1;` );
+		const appendSpy = spyOn( document.head, 'appendChild' );
+		const result = loadScript( url, { timeout: 10, retries: 1, retryDelay: 100 }, getGlobal );
+
+		await new Promise( resolve => setTimeout( resolve, 30 ) );
+
+		// The request of the timed out attempt completes during the retry delay.
+		appendSpy.and.callThrough();
+		document.head.appendChild( appendSpy.calls.first().args[ 0 ] );
+
+		await expectAsync( result ).toBeResolvedTo( 1 );
+		await new Promise( resolve => setTimeout( resolve, 150 ) );
+
+		expect( appendSpy ).toHaveBeenCalledTimes( 2 );
+		expect( getGlobal() ).toEqual( 1 );
+	} );
+
+	it( 'should set integrity and crossorigin attributes of the script', async () => {
+		const url = createScriptUrl( `window.${ globalName } = 'foo';` );
+		const appendSpy = spyOn( document.head, 'appendChild' ).and.callThrough();
+
+		await loadScript( url, { integrity: { [ url ]: 'sha384-foo', 'https://example.com/': 'sha384-bar' } }, getGlobal ).catch( () => {} );
+
+		const script = appendSpy.calls.first().args[ 0 ] as HTMLScriptElement;
+
+		expect( script.integrity ).toEqual( 'sha384-foo' );
+		expect( script.crossOrigin ).toEqual( 'anonymous' );
+	} );
+
+	it( 'should not set integrity attribute when no hash is given for the url', async () => {
+		const url = createScriptUrl( `window.${ globalName } = 'foo';` );
+		const appendSpy = spyOn( document.head, 'appendChild' ).and.callThrough();
+
+		await loadScript( url, { crossOrigin: 'use-credentials' }, getGlobal );
+
+		const script = appendSpy.calls.first().args[ 0 ] as HTMLScriptElement;
+
+		expect( script.hasAttribute( 'integrity' ) ).toBeFalse();
+		expect( script.crossOrigin ).toEqual( 'use-credentials' );
+	} );
+} );
@@ -0,0 +1,198 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { CKEditor4 } from './ckeditor';
+
+declare let CKEDITOR: CKEditor4.Namespace;
+
+/**
+ * Options of the CKEditor 4 script loader.
+ */
+export interface CKEditorLoaderOptions {
+	/**
+	 * Time in milliseconds after which a single attempt of loading the script fails.
+	 * Set to `0` to wait without a limit (default).
+	 */
+	timeout?: number;
+
+	/**
+	 * The number of additional attempts of loading the script from each URL. Defaults to `0`.
+	 */
+	retries?: number;
+
+	/**
+	 * The delay in milliseconds before the first retry. It's doubled for each subsequent retry. Defaults to `500`.
+	 */
+	retryDelay?: number;
+
+	/**
+	 * Subresource Integrity hash of the script, see https://developer.mozilla.org/en-US/docs/Web/Security/Subresource_Integrity.
+	 * Can be passed as a map of hashes keyed by the script URLs, if multiple URLs are used.
+	 *
+	 * Note that only the main `ckeditor.js` script is verified, the files loaded by the editor itself
+	 * (e.g. plugins or the configuration) are not.
+	 */
+	integrity?: string | { [ url: string ]: string };
+
+	/**
+	 * The `crossorigin` attribute of the script. Defaults to `anonymous` if `integrity` is set.
+	 */
+	crossOrigin?: 'anonymous' | 'use-credentials';
+}
+
+/**
+ * The state of the editor loading, see `CKEditorComponent#loadingState`.
+ */
+export type CKEditorLoadingState = 'loading' | 'ready' | 'failed';
+
+let pendingNamespace: Promise<CKEditor4.Namespace> | null = null;
+
+/**
+ * Loads the CKEDITOR namespace from the first of the given URLs which provides it.
+ * Does nothing if the namespace is already loaded and returns the pending promise if it's being loaded.
+ *
+ * The `onNamespaceLoaded` callback is executed once, when the namespace is loaded.
+ */
+export function loadEditorNamespace(
+	editorUrl: string | string[],
+	options: CKEditorLoaderOptions = {},
+	onNamespaceLoaded?: ( namespace: CKEditor4.Namespace ) => void
+): Promise<CKEditor4.Namespace> {
+	if ( 'CKEDITOR' in window ) {
+		return Promise.resolve( CKEDITOR );
+	}
+
+	if ( !pendingNamespace ) {
+		pendingNamespace = loadScript( editorUrl, options, () => window[ 'CKEDITOR' ] ).then( namespace => {
+			if ( onNamespaceLoaded ) {
+				onNamespaceLoaded( namespace );
+			}
+
+			return namespace;
+		}, err => {
+			// Allow loading the namespace again, e.g. by a component created later.
+			pendingNamespace = null;
+
+			throw err;
+		} );
+	}
+
+	return pendingNamespace;
+}
+
+/**
+ * Loads the script from the first of the given URLs which provides the global value returned by `getGlobal`.
+ * Each URL is retried according to the `options`.
+ */
+export function loadScript<T>( urls: string | string[], options: CKEditorLoaderOptions, getGlobal: () => T | undefined ): Promise<T> {
+	const urlList = ( Array.isArray( urls ) ? urls : [ urls ] ).filter( url => !!url );
+	const errors: string[] = [];
+
+	if ( !urlList.length ) {
+		return Promise.reject( new TypeError( 'CKEditor URL must be a non-empty string.' ) );
+	}
+
+	// The request of the script which timed out can't be cancelled, so the script may still load later.
+	let onLateLoad: ( value: T ) => void;
+	const lateLoad = new Promise<T>( resolve => onLateLoad = resolve );
+
+	const tryUrl = ( urlIndex: number, attempt: number ): Promise<T> => {
+		const url = urlList[ urlIndex ];
+		const loaded = getGlobal();
+
+		// Don't load the script again if the one which timed out has loaded in the meantime.
+		if ( loaded ) {
+			return Promise.resolve( loaded );
+		}
+
+		return loadScriptOnce( url, options, getGlobal, onLateLoad ).catch( ( err: Error ) => {
+			errors.push( err.message );
+
+			if ( attempt < ( options.retries || 0 ) ) {
+				const retryDelay = ( options.retryDelay === undefined ? 500 : options.retryDelay ) * Math.pow( 2, attempt );
+
+				return wait( retryDelay ).then( () => tryUrl( urlIndex, attempt + 1 ) );
+			}
+
+			if ( urlIndex + 1 < urlList.length ) {
+				return tryUrl( urlIndex + 1, 0 );
+			}
+
+			throw new Error( `CKEditor 4 script could not be loaded:\n${ errors.join( '\n' ) }` );
+		} );
+	};
+
+	return Promise.race( [ tryUrl( 0, 0 ), lateLoad ] );
+}
+
+function loadScriptOnce<T>(
+	url: string,
+	options: CKEditorLoaderOptions,
+	getGlobal: () => T | undefined,
+	onLateLoad: ( value: T ) => void
+): Promise<T> {
+	return new Promise<T>( ( resolve, reject ) => {
+		const script = document.createElement( 'script' );
+		const integrity = typeof options.integrity === 'string' ? options.integrity : options.integrity && options.integrity[ url ];
+		let timeoutId: ReturnType<typeof setTimeout> | null = null;
+
+		const finish = ( error?: string ) => {
+			script.onload = script.onerror = null;
+			clearTimeout( timeoutId );
+
+			if ( !error ) {
+				const value = getGlobal();
+
+				if ( value ) {
+					return resolve( value );
+				}
+
+				error = `Script loaded from ${ url } doesn't provide CKEDITOR namespace.`;
+			}
+
+			if ( script.parentNode ) {
+				script.parentNode.removeChild( script );
+			}
+
+			reject( new Error( error ) );
+		};
+
+		script.type = 'text/javascript';
+		script.async = true;
+		script.src = url;
+
+		if ( integrity ) {
+			script.integrity = integrity;
+		}
+
+		if ( integrity || options.crossOrigin ) {
+			script.crossOrigin = options.crossOrigin || 'anonymous';
+		}
+
+		script.onload = () => finish();
+		script.onerror = () => finish( `Failed to load ${ url }.` );
+
+		if ( options.timeout ) {
+			timeoutId = setTimeout( () => {
+				reject( new Error( `Loading ${ url } timed out after ${ options.timeout }ms.` ) );
+
+				// Keep the script, so its late load is noticed instead of loading the editor twice.
+				script.onload = () => {
+					const value = getGlobal();
+
+					if ( value ) {
+						onLateLoad( value );
+					}
+				};
+			}, options.timeout );
+		}
+
+		document.head.appendChild( script );
+	} );
+}
+
+function wait( time: number ): Promise<void> {
+	return new Promise( resolve => setTimeout( resolve, time ) );
+}
@@ -0,0 +1,512 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { isSafeUrl } from './ckeditor.sanitizer';
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const HORIZONTAL_RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const BLOCKQUOTE = /^ {0,3}>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// The link destination may contain balanced parentheses, e.g. `[foo](https://en.wikipedia.org/wiki/Foo_(bar))`.
+const IMAGE = /!\[([^\]]*)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g;
+const LINK = /\[([^\]]+)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g;
+
+const INLINE_ELEMENTS = [
+	'a', 'abbr', 'b', 'bdi', 'bdo', 'big', 'br', 'cite', 'code', 'del', 'dfn', 'em', 'font', 'i', 'img', 'ins', 'kbd',
+	'mark', 'q', 's', 'samp', 'small', 'span', 'strike', 'strong', 'sub', 'sup', 'time', 'tt', 'u', 'var', 'wbr'
+];
+
+/**
+ * Converts the Markdown to the editor HTML. Supports the CommonMark blocks and inlines commonly used in the editor content
+ * (paragraphs, headings, lists, block quotes, fenced code blocks, horizontal rules, links, images, emphasis and code spans),
+ * and GitHub Flavored Markdown tables and strikethrough. Raw HTML is escaped, so it's shown as text.
+ */
+export function markdownToHtml( markdown: string ): string {
+	if ( !markdown ) {
+		return '';
+	}
+
+	return renderMarkdownBlocks( markdown.replace( /\u0000/g, '' ).replace( /\r\n?/g, '\n' ).split( '\n' ), false );
+}
+
+/**
+ * Converts the editor HTML to the Markdown accepted by `markdownToHtml()`:
+ *
+ * * Block quotes, headings, lists (also nested), fenced code blocks (with the `language-*` class of the code element
+ * as the language) and tables (the first row is the header, cell alignment is kept) are converted.
+ * * Bold, italic, strikethrough, inline code, links and images are converted. Line breaks are written with a backslash.
+ * * Formatting without the Markdown equivalent (e.g. underline, colors, alignment of paragraphs) is dropped,
+ * only the content is kept.
+ */
+export function htmlToMarkdown( html: string ): string {
+	if ( !html ) {
+		return '';
+	}
+
+	const body = document.implementation.createHTMLDocument( '' ).body;
+
+	body.innerHTML = html;
+
+	return renderHtmlBlocks( body ).join( '\n\n' );
+}
+
+function renderMarkdownBlocks( lines: string[], isTight: boolean ): string {
+	const html: string[] = [];
+	let index = 0;
+
+	while ( index < lines.length ) {
+		const line = lines[ index ];
+		const fence = FENCE.exec( line );
+		const heading = HEADING.exec( line );
+
+		if ( !line.trim() ) {
+			index++;
+		} else if ( fence ) {
+			const code: string[] = [];
+
+			index++;
+
+			while ( index < lines.length && !isClosingFence( lines[ index ], fence[ 1 ] ) ) {
+				code.push( lines[ index++ ] );
+			}
+
+			// Skip the closing fence.
+			index++;
+
+			const className = fence[ 2 ] ? ` class="language-${ escapeHtml( fence[ 2 ] ) }"` : '';
+
+			html.push( `<pre><code${ className }>${ escapeHtml( code.join( '\n' ) ) }</code></pre>` );
+		} else if ( heading ) {
+			html.push( `<h${ heading[ 1 ].length }>${ renderMarkdownInline( heading[ 2 ] ) }</h${ heading[ 1 ].length }>` );
+			index++;
+		} else if ( HORIZONTAL_RULE.test( line ) ) {
+			html.push( '<hr>' );
+			index++;
+		} else if ( BLOCKQUOTE.test( line ) ) {
+			const quoted: string[] = [];
+
+			while ( index < lines.length && BLOCKQUOTE.test( lines[ index ] ) ) {
+				quoted.push( BLOCKQUOTE.exec( lines[ index++ ] )[ 1 ] );
+			}
+
+			html.push( `<blockquote>${ renderMarkdownBlocks( quoted, false ) }</blockquote>` );
+		} else if ( LIST_ITEM.test( line ) ) {
+			const [ , space, marker ] = LIST_ITEM.exec( line );
+			const indent = space.length;
+			const listLines = [ line ];
+
+			index++;
+
+			// The list continues with the items and the lines indented more than its items, also after a blank line.
+			while ( index < lines.length ) {
+				const next = lines[ index ].trim() ? lines[ index ] : lines[ index + 1 ];
+
+				if ( next === undefined || !( LIST_ITEM.test( next ) || getIndent( next ) > indent ) ) {
+					break;
+				}
+
+				const item = LIST_ITEM.exec( next );
+
+				// The item with another marker type (e.g. `1.` after `-` or `*` after `-`) starts a new list.
+				if ( item && item[ 1 ].length <= indent && getMarkerType( item[ 2 ] ) !== getMarkerType( marker ) ) {
+					break;
+				}
+
+				listLines.push( lines[ index++ ] );
+			}
+
+			html.push( renderMarkdownList( listLines ) );
+		} else if ( line.indexOf( '|' ) !== -1 && TABLE_SEPARATOR.test( lines[ index + 1 ] || '' ) ) {
+			const rows = [ line ];
+			const alignments = splitTableRow( lines[ index + 1 ] ).map( cell => {
+				const isLeft = cell.charAt( 0 ) === ':';
+				const isRight = cell.charAt( cell.length - 1 ) === ':';
+
+				return isLeft && isRight ? 'center' : isRight ? 'right' : isLeft ? 'left' : null;
+			} );
+
+			index += 2;
+
+			while ( index < lines.length && lines[ index ].trim() && lines[ index ].indexOf( '|' ) !== -1 ) {
+				rows.push( lines[ index++ ] );
+			}
+
+			html.push( renderMarkdownTable( rows, alignments ) );
+		} else {
+			const paragraph: string[] = [];
+
+			while ( index < lines.length && lines[ index ].trim() && !( paragraph.length && interruptsParagraph( lines[ index ] ) ) ) {
+				paragraph.push( lines[ index++ ] );
+			}
+
+			// Lines ending with a backslash or two spaces are followed by a line break.
+			const content = paragraph.map( ( paragraphLine, lineIndex ) => {
+				const text = renderMarkdownInline( paragraphLine.trim().replace( /\\$/, '' ) );
+				const isLast = lineIndex === paragraph.length - 1;
+
+				return isLast ? text : text + ( /(\\| {2})$/.test( paragraphLine ) ? '<br>' : '\n' );
+			} ).join( '' );
+
+			html.push( isTight ? content : `<p>${ content }</p>` );
+		}
+	}
+
+	return html.join( '' );
+}
+
+function renderMarkdownList( lines: string[] ): string {
+	const first = LIST_ITEM.exec( lines[ 0 ] );
+	const indent = first[ 1 ].length;
+	const isOrdered = /\d/.test( first[ 2 ] );
+	const items: string[][] = [];
+	let contentIndent = 0;
+
+	lines.forEach( line => {
+		const item = LIST_ITEM.exec( line );
+
+		if ( item && item[ 1 ].length <= indent ) {
+			contentIndent = item[ 1 ].length + item[ 2 ].length + 1;
+			items.push( [ item[ 3 ] ] );
+		} else {
+			// Remove the indentation of the item content, so the nested blocks are parsed as usual.
+			items[ items.length - 1 ].push( line.replace( new RegExp( `^ {0,${ contentIndent }}` ), '' ) );
+		}
+	} );
+
+	const tag = isOrdered ? 'ol' : 'ul';
+	const start = isOrdered && parseInt( first[ 2 ], 10 ) !== 1 ? ` start="${ parseInt( first[ 2 ], 10 ) }"` : '';
+
+	// Items without blank lines (tight lists) don't wrap their text in paragraphs.
+	const content = items.map( item => {
+		const isTight = item.slice( 0, -1 ).every( line => !!line.trim() );
+
+		return `<li>${ renderMarkdownBlocks( item, isTight ) }</li>`;
+	} ).join( '' );
+
+	return `<${ tag }${ start }>${ content }</${ tag }>`;
+}
+
+function renderMarkdownTable( rows: string[], alignments: string[] ): string {
+	const renderRow = ( row: string, cellTag: string ) => {
+		const cells = splitTableRow( row ).map( ( cell, index ) => {
+			const style = alignments[ index ] ? ` style="text-align:${ alignments[ index ] }"` : '';
+
+			return `<${ cellTag }${ style }>${ renderMarkdownInline( cell ) }</${ cellTag }>`;
+		} );
+
+		return `<tr>${ cells.join( '' ) }</tr>`;
+	};
+
+	const head = `<thead>${ renderRow( rows[ 0 ], 'th' ) }</thead>`;
+	const body = rows.length > 1 ? `<tbody>${ rows.slice( 1 ).map( row => renderRow( row, 'td' ) ).join( '' ) }</tbody>` : '';
+
+	return `<table>${ head }${ body }</table>`;
+}
+
+function splitTableRow( row: string ): string[] {
+	return row.trim().replace( /^\|/, '' ).replace( /(^|[^\\])\|$/, '$1' )
+		.replace( /\\\|/g, '\u0000' )
+		.split( '|' )
+		.map( cell => cell.trim().replace( /\u0000/g, '\\|' ) );
+}
+
+function isClosingFence( line: string, fence: string ): boolean {
+	const trimmed = line.trim();
+
+	return trimmed.indexOf( fence ) === 0 && !trimmed.replace( /[`~]/g, '' );
+}
+
+function interruptsParagraph( line: string ): boolean {
+	return FENCE.test( line ) || HEADING.test( line ) || HORIZONTAL_RULE.test( line ) || BLOCKQUOTE.test( line ) || LIST_ITEM.test( line );
+}
+
+function renderMarkdownInline( text: string ): string {
+	const tokens: string[] = [];
+	const protect = ( value: string ) => `\u0000${ tokens.push( value ) - 1 }\u0000`;
+	const restore = ( value: string ): string => {
+		return value.replace( /\u0000(\d+)\u0000/g, ( match, index ) => restore( tokens[ Number( index ) ] ) );
+	};
+	const renderAttribute = ( name: string, value: string ) => value ? ` ${ name }="${ value }"` : '';
+
+	const html = escapeHtml(
+		text
+			.replace( /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, ( match, fence, code ) => protect( `<code>${ escapeHtml( code.trim() ) }</code>` ) )
+			.replace( /\\([\\`*_{}\[\]()#+\-.!|~<>])/g, ( match, char ) => protect( escapeHtml( char ) ) )
+	)
+		// The images and links with unsafe URLs (e.g. `javascript:`) are replaced with their text.
+		.replace( IMAGE, ( match, alt, src, title ) => {
+			if ( !isSafeUrl( unescapeHtml( src ) ) ) {
+				return alt;
+			}
+
+			return protect( `<img alt="${ alt }" src="${ src }"${ renderAttribute( 'title', title ) }>` );
+		} )
+		.replace( LINK, ( match, content, href, title ) => {
+			if ( !isSafeUrl( unescapeHtml( href ) ) ) {
+				return content;
+			}
+
+			return protect( `<a href="${ href }"${ renderAttribute( 'title', title ) }>` ) + content + protect( '</a>' );
+		} )
+		.replace( /&lt;((?:https?|ftp|mailto):[^\s&]+)&gt;/g, ( match, href ) => protect( `<a href="${ href }">${ href }</a>` ) )
+		.replace( /(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>' )
+		.replace( /\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>' )
+		.replace( /(^|\W)_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>' )
+		.replace( /~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>' );
+
+	return restore( html );
+}
+
+function renderHtmlBlocks( container: Node ): string[] {
+	const blocks: string[] = [];
+	let inlineNodes: Node[] = [];
+
+	// The adjacent lists of the same type are written with different markers, otherwise they would be parsed as one list.
+	let previousList: { name: string; index: number; hasAlternativeMarkers: boolean } | null = null;
+
+	const flushInlineNodes = () => {
+		const paragraph = renderHtmlInline( inlineNodes );
+
+		if ( paragraph ) {
+			blocks.push( paragraph.split( '\n' ).map( escapeLineStart ).join( '\n' ) );
+		}
+
+		inlineNodes = [];
+	};
+
+	Array.from( container.childNodes ).forEach( node => {
+		const name = node.nodeName.toLowerCase();
+
+		if ( node.nodeType !== Node.ELEMENT_NODE || INLINE_ELEMENTS.indexOf( name ) !== -1 ) {
+			inlineNodes.push( node );
+
+			return;
+		}
+
+		flushInlineNodes();
+
+		const isAfterList = !!previousList && previousList.name === name && previousList.index === blocks.length - 1;
+		const hasAlternativeMarkers = isAfterList && !previousList.hasAlternativeMarkers;
+		const block = renderHtmlBlock( node as HTMLElement, name, hasAlternativeMarkers );
+
+		if ( block ) {
+			blocks.push( block );
+			previousList = name === 'ul' || name === 'ol' ? { name, index: blocks.length - 1, hasAlternativeMarkers } : null;
+		}
+	} );
+
+	flushInlineNodes();
+
+	return blocks;
+}
+
+function renderHtmlBlock( element: HTMLElement, name: string, hasAlternativeMarkers: boolean ): string {
+	const heading = /^h([1-6])$/.exec( name );
+
+	if ( heading ) {
+		const content = renderHtmlInline( Array.from( element.childNodes ) ).replace( /\\\n/g, ' ' );
+
+		return content ? `${ '#'.repeat( Number( heading[ 1 ] ) ) } ${ content }` : '';
+	}
+
+	switch ( name ) {
+		case 'ul':
+		case 'ol':
+			return renderHtmlList( element, name === 'ol', hasAlternativeMarkers );
+		case 'blockquote':
+			return renderHtmlBlocks( element ).join( '\n\n' ).split( '\n' ).map( line => line ? `> ${ line }` : '>' ).join( '\n' );
+		case 'pre':
+			return renderHtmlCode( element );
+		case 'hr':
+			return '---';
+		case 'table':
+			return renderHtmlTable( element as HTMLTableElement );
+		default:
+			return renderHtmlBlocks( element ).join( '\n\n' );
+	}
+}
+
+function renderHtmlList( list: HTMLElement, isOrdered: boolean, hasAlternativeMarkers: boolean ): string {
+	const start = isOrdered ? parseInt( list.getAttribute( 'start' ) || '1', 10 ) : 1;
+	const items = Array.from( list.children ).filter( child => child.nodeName.toLowerCase() === 'li' );
+	const isLoose = items.some( item => !!item.querySelector( 'p' ) );
+
+	return items.map( ( item, index ) => {
+		const marker = isOrdered ? `${ start + index }${ hasAlternativeMarkers ? ')' : '.' }` : hasAlternativeMarkers ? '*' : '-';
+		const content = renderHtmlBlocks( item ).join( isLoose ? '\n\n' : '\n' ) || '';
+
+		// Indent the item content, so the nested lists and paragraphs belong to the item.
+		return content.split( '\n' ).map( ( line, lineIndex ) => {
+			if ( !lineIndex ) {
+				return `${ marker } ${ line }`;
+			}
+
+			return line ? ' '.repeat( marker.length + 1 ) + line : '';
+		} ).join( '\n' );
+	} ).join( isLoose ? '\n\n' : '\n' );
+}
+
+function renderHtmlCode( pre: HTMLElement ): string {
+	const code = pre.querySelector( 'code' );
+	const language = code && /(?:^|\s)language-(\S+)/.exec( code.className );
+	const content = pre.textContent.replace( /\n$/, '' );
+	let fence = '```';
+
+	while ( content.indexOf( fence ) !== -1 ) {
+		fence += '`';
+	}
+
+	return `${ fence }${ language ? language[ 1 ] : '' }\n${ content }\n${ fence }`;
+}
+
+function renderHtmlTable( table: HTMLTableElement ): string {
+	const rows = Array.from( table.rows ).map( row => Array.from( row.cells ) );
+
+	if ( !rows.length ) {
+		return '';
+	}
+
+	const columnsCount = Math.max( ...rows.map( cells => cells.length ) );
+	const renderRow = ( values: string[] ) => `| ${ values.join( ' | ' ) } |`;
+
+	const lines = rows.map( cells => {
+		const values = cells.map( cell => renderHtmlBlocks( cell ).join( ' ' ).replace( /\\\n/g, ' ' ).replace( /\|/g, '\\|' ) );
+
+		while ( values.length < columnsCount ) {
+			values.push( '' );
+		}
+
+		return renderRow( values );
+	} );
+
+	const separator = rows[ 0 ].map( cell => {
+		const alignment = cell.style.textAlign;
+
+		return alignment === 'center' ? ':---:' : alignment === 'right' ? '---:' : alignment === 'left' ? ':---' : '---';
+	} );
+
+	while ( separator.length < columnsCount ) {
+		separator.push( '---' );
+	}
+
+	lines.splice( 1, 0, renderRow( separator ) );
+
+	return lines.join( '\n' );
+}
+
+function renderHtmlInline( nodes: Node[] ): string {
+	return nodes.map( renderHtmlInlineNode ).join( '' )
+		.replace( /[ \t]*\\\n[ \t]*/g, '\\\n' )
+		.replace( /(\\\n)+$/, '' )
+		.trim();
+}
+
+function renderHtmlInlineNode( node: Node ): string {
+	if ( node.nodeType === Node.TEXT_NODE ) {
+		return escapeMarkdown( node.nodeValue.replace( /\s+/g, ' ' ) );
+	}
+
+	if ( node.nodeType !== Node.ELEMENT_NODE ) {
+		return '';
+	}
+
+	const element = node as HTMLElement;
+	const content = () => Array.from( element.childNodes ).map( renderHtmlInlineNode ).join( '' );
+
+	switch ( element.nodeName.toLowerCase() ) {
+		case 'br':
+			return '\\\n';
+		case 'strong':
+		case 'b':
+			return wrap( content(), '**' );
+		case 'em':
+		case 'i':
+			return wrap( content(), '*' );
+		case 's':
+		case 'del':
+		case 'strike':
+			return wrap( content(), '~~' );
+		case 'code':
+			return renderCodeSpan( element.textContent );
+		case 'a':
+			return renderLink( element, content() );
+		case 'img':
+			return `![${ escapeMarkdown( element.getAttribute( 'alt' ) || '' ) }](${ renderUrl( element, 'src' ) })`;
+		default:
+			return content();
+	}
+}
+
+function renderLink( link: HTMLElement, content: string ): string {
+	const href = link.getAttribute( 'href' );
+
+	return href ? `[${ content }](${ renderUrl( link, 'href' ) })` : content;
+}
+
+function renderUrl( element: HTMLElement, attributeName: string ): string {
+	const url = ( element.getAttribute( attributeName ) || '' ).replace( /\s/g, '%20' ).replace( /\)/g, '%29' );
+	const title = element.getAttribute( 'title' );
+
+	return title ? `${ url } "${ title.replace( /"/g, '\'' ) }"` : url;
+}
+
+function renderCodeSpan( code: string ): string {
+	const fence = /`/.test( code ) ? '``' : '`';
+
+	return code ? `${ fence }${ fence.length > 1 ? ` ${ code } ` : code }${ fence }` : '';
+}
+
+/**
+ * Wraps the content with the emphasis delimiters, keeping the surrounding whitespace outside them.
+ */
+function wrap( content: string, delimiter: string ): string {
+	const match = /^(\s*)([\s\S]*?)(\s*)$/.exec( content );
+
+	return match[ 2 ] ? `${ match[ 1 ] }${ delimiter }${ match[ 2 ] }${ delimiter }${ match[ 3 ] }` : content;
+}
+
+function escapeMarkdown( text: string ): string {
+	return text
+		.replace( /\u00a0/g, ' ' )
+		.replace( /[\\`*\[\]~<]/g, '\\$&' )
+		// Underscores within words (e.g. `snake_case`) don't start the emphasis.
+		.replace( /(^|\W)_|_(?=\W|$)/g, match => match.replace( '_', '\\_' ) );
+}
+
+/**
+ * Escapes the text at the line start which would be parsed as the beginning of the block, e.g. a list or a heading,
+ * or as a whole block, e.g. `---` as the horizontal rule.
+ */
+function escapeLineStart( line: string ): string {
+	if ( HORIZONTAL_RULE.test( line ) ) {
+		return line.replace( /^\s*/, '$&\\' );
+	}
+
+	return line.replace( /^(\s*)(?:(#|>|[-+](?=\s|$))|(\d+)(?=[.)](\s|$)))/, ( match, space, marker, digits ) => {
+		return marker ? `${ space }\\${ marker }` : `${ space }${ digits }\\`;
+	} );
+}
+
+function escapeHtml( text: string ): string {
+	return text.replace( /&/g, '&amp;' ).replace( /</g, '&lt;' ).replace( />/g, '&gt;' ).replace( /"/g, '&quot;' );
+}
+
+function unescapeHtml( html: string ): string {
+	return html.replace( /&quot;/g, '"' ).replace( /&gt;/g, '>' ).replace( /&lt;/g, '<' ).replace( /&amp;/g, '&' );
+}
+
+/**
+ * Returns the list marker type: the bullet character or the delimiter of the ordered list number.
+ */
+function getMarkerType( marker: string ): string {
+	return marker.replace( /^\d+/, '1' );
+}
+
+function getIndent( line: string ): number {
+	return /^\s*/.exec( line )[ 0 ].length;
+}
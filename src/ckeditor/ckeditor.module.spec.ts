@@ -3,7 +3,10 @@
  * For licensing, see LICENSE.md.
  */
 
-import { CKEditorModule } from './ckeditor.module';
+import { TestBed } from '@angular/core/testing';
+
+import { CKEditorModule, provideCKEditor } from './ckeditor.module';
+import { CKEDITOR_DEFAULTS } from './ckeditor.defaults';
 
 describe( 'CKEditorModule', () => {
 	let ckeditorModule: CKEditorModule;
@@ -15,4 +18,24 @@ describe( 'CKEditorModule', () => {
 	it( 'should create an instance', () => {
 		expect( ckeditorModule ).toBeTruthy();
 	} );
+
+	it( 'should provide defaults with forRoot()', () => {
+		const defaults = { editorUrl: 'ckeditor.js' };
+		const moduleWithProviders = CKEditorModule.forRoot( defaults );
+
+		expect( moduleWithProviders.ngModule ).toBe( CKEditorModule );
+		expect( moduleWithProviders.providers ).toEqual( [ { provide: CKEDITOR_DEFAULTS, useValue: defaults } ] );
+	} );
+} );
+
+describe( 'provideCKEditor()', () => {
+	it( 'should provide defaults', () => {
+		const defaults = { editorUrl: 'ckeditor.js' };
+
+		TestBed.configureTestingModule( {
+			providers: [ provideCKEditor( defaults ) ]
+		} );
+
+		expect( TestBed.inject( CKEDITOR_DEFAULTS ) ).toBe( defaults );
+	} );
 } );
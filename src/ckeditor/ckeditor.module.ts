@@ -3,17 +3,110 @@
  * For licensing, see LICENSE.md.
  */
 
-import { NgModule } from '@angular/core';
-import { CommonModule } from '@angular/common';
-import { FormsModule } from '@angular/forms';
+import { EnvironmentProviders, makeEnvironmentProviders, ModuleWithProviders, NgModule } from '@angular/core';
 import { CKEditorComponent } from './ckeditor.component';
+import { CKEditorValidatorsDirective } from './ckeditor.validators.directive';
+import { CKEditorButtonDirective } from './ckeditor.button.directive';
+import { CKEditorInlineDirective } from './ckeditor.inline.directive';
+import { CKEditorSharedSpaceComponent } from './ckeditor.shared-space.component';
+import { CKEditorDefaults, provideCKEditorDefaults } from './ckeditor.defaults';
 
+/**
+ * Provides the component and the directives to the applications using the NgModules. The standalone components
+ * can import `CKEditorComponent` (and the directives) directly and use `provideCKEditor()` instead of `forRoot()`.
+ */
 @NgModule( {
-	imports: [ FormsModule, CommonModule ],
-	declarations: [ CKEditorComponent ],
-	exports: [ CKEditorComponent ]
+	imports: [
+		CKEditorComponent,
+		CKEditorInlineDirective,
+		CKEditorSharedSpaceComponent,
+		CKEditorValidatorsDirective,
+		CKEditorButtonDirective
+	],
+	exports: [
+		CKEditorComponent,
+		CKEditorInlineDirective,
+		CKEditorSharedSpaceComponent,
+		CKEditorValidatorsDirective,
+		CKEditorButtonDirective
+	]
 } )
 export class CKEditorModule {
+	/**
+	 * Provides the defaults (e.g. `editorUrl` or `config`) shared by all editors in the application.
+	 * Should be imported once, in the root module:
+	 *
+	 *		imports: [ CKEditorModule.forRoot( { editorUrl: '/assets/ckeditor/ckeditor.js' } ) ]
+	 */
+	static forRoot( defaults: CKEditorDefaults ): ModuleWithProviders<CKEditorModule> {
+		return {
+			ngModule: CKEditorModule,
+			providers: [ provideCKEditorDefaults( defaults ) ]
+		};
+	}
 }
+
+/**
+ * Provides the defaults shared by all editors in the standalone application, like `CKEditorModule.forRoot()`, e.g.:
+ *
+ *		bootstrapApplication( AppComponent, {
+ *			providers: [ provideCKEditor( { editorUrl: '/assets/ckeditor/ckeditor.js' } ) ]
+ *		} );
+ */
+export function provideCKEditor( defaults: CKEditorDefaults = {} ): EnvironmentProviders {
+	return makeEnvironmentProviders( [ provideCKEditorDefaults( defaults ) ] );
+}
+
 export * from './ckeditor';
+export {
+	CKEditorAutosaveFunction,
+	CKEditorAutosaveOptions,
+	CKEditorAutosaveStatus,
+	CKEditorAutosaveStorage,
+	CKEditorIndexedDBAutosaveStorage,
+	CKEditorLocalAutosaveStorage
+} from './ckeditor.autosave';
+export { CKEditorBookmark, CKEditorEventSubscription, CKEditorMode } from './ckeditor.base';
 export { CKEditorComponent } from './ckeditor.component';
+export {
+	CKEditorDialogContext,
+	CKEditorDialogHandler,
+	CKEditorDialogRegistration,
+	CKEditorDialogValues,
+	CKEDITOR_DIALOGS,
+	provideCKEditorDialog
+} from './ckeditor.dialog';
+export { CKEditorError, CKEditorErrorPhase } from './ckeditor.error';
+export {
+	CKEditorDataConverter,
+	CKEditorDataFormat,
+	markdownDataConverter,
+	textDataConverter
+} from './ckeditor.format';
+export { htmlToMarkdown, markdownToHtml } from './ckeditor.markdown';
+export { CKEditorLazyMode, CKEditorLazyTrigger } from './ckeditor.lazy';
+export { CKEditorLoaderOptions, CKEditorLoadingState, loadEditorNamespace } from './ckeditor.loader';
+export { CKEditorPool, CKEditorPoolOptions, CKEDITOR_POOL_OPTIONS, provideCKEditorPool } from './ckeditor.pool';
+export {
+	CKEditorRemovedContent,
+	CKEditorSanitizeEvent,
+	CKEditorSanitizeResult,
+	CKEditorSanitizer,
+	sanitizeHtml
+} from './ckeditor.sanitizer';
+export { CKEditorSharedSpaceComponent, CKEditorSharedSpacePosition } from './ckeditor.shared-space.component';
+export { CKEditorDataChangeStrategy, CKEditorDefaults, CKEDITOR_DEFAULTS, provideCKEditorDefaults } from './ckeditor.defaults';
+export {
+	CKEditorHttpUploadAdapter,
+	CKEditorUploadAdapter,
+	CKEditorUploadEvent,
+	CKEditorUploadProgress,
+	CKEditorUploadRequest,
+	CKEditorUploadResult,
+	provideCKEditorUploadAdapter
+} from './ckeditor.upload';
+export { CKEditorWidgetDefinition, CKEDITOR_WIDGET, CKEDITOR_WIDGETS, provideCKEditorWidget } from './ckeditor.widget';
+export { CKEditorValidators, getPlainText, isEmptyContent } from './ckeditor.validators';
+export { CKEditorValidatorsDirective } from './ckeditor.validators.directive';
+export { CKEditorButtonDirective, CKEditorButtonState } from './ckeditor.button.directive';
+export { CKEditorInlineDirective } from './ckeditor.inline.directive';
@@ -0,0 +1,209 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { CKEditorComponent } from './ckeditor.component';
+import { CKEditor4 } from './ckeditor';
+import { CKEditorPool, getPoolKey, provideCKEditorPool } from './ckeditor.pool';
+import { whenEvent } from '../test.tools';
+
+describe( 'getPoolKey', () => {
+	it( 'should return the same key for the same configs', () => {
+		expect( getPoolKey( 'classic', 'textarea', { toolbar: [ [ 'Bold' ] ], language: 'en' } ) )
+			.toEqual( getPoolKey( 'classic', 'textarea', { language: 'en', toolbar: [ [ 'Bold' ] ], on: {} } ) );
+	} );
+
+	it( 'should return different keys for different editors', () => {
+		const key = getPoolKey( 'classic', 'textarea', { language: 'en' } );
+
+		expect( getPoolKey( 'inline', 'textarea', { language: 'en' } ) ).not.toEqual( key );
+		expect( getPoolKey( 'classic', 'div', { language: 'en' } ) ).not.toEqual( key );
+		expect( getPoolKey( 'classic', 'textarea', { language: 'de' } ) ).not.toEqual( key );
+	} );
+
+	it( 'should return null for the configs which cannot be compared', () => {
+		expect( getPoolKey( 'classic', 'textarea', { on: { change: () => {} } } ) ).toBeNull();
+		expect( getPoolKey( 'classic', 'textarea', { stylesSet: [ { name: 'foo', attributes: () => {} } ] } ) ).toBeNull();
+	} );
+} );
+
+describe( 'CKEditorPool', () => {
+	let pool: CKEditorPool;
+
+	function createEditor(): CKEditor4.Editor {
+		return jasmine.createSpyObj( 'editor', [ 'destroy' ], { status: 'ready' } );
+	}
+
+	beforeEach( () => {
+		TestBed.configureTestingModule( {
+			providers: [ provideCKEditorPool( { maxSize: 2 } ) ]
+		} );
+
+		pool = TestBed.inject( CKEditorPool );
+	} );
+
+	it( 'should detach the released editor and hand it over for the same key', () => {
+		const editor = createEditor();
+		const node = document.body.appendChild( document.createElement( 'div' ) );
+
+		expect( pool.release( 'foo', editor, [ node ] ) ).toBeTrue();
+		expect( node.parentNode ).toBeNull();
+		expect( pool.acquire( 'bar' ) ).toBeNull();
+		expect( pool.acquire( 'foo' ) ).toEqual( { editor, nodes: [ node ] } );
+		expect( pool.size ).toEqual( 0 );
+	} );
+
+	it( 'should destroy the oldest editor once the pool is full', () => {
+		const editors = [ createEditor(), createEditor(), createEditor() ];
+
+		editors.forEach( editor => pool.release( 'foo', editor, [] ) );
+
+		expect( pool.size ).toEqual( 2 );
+		expect( editors[ 0 ].destroy ).toHaveBeenCalled();
+		expect( pool.acquire( 'foo' ).editor ).toBe( editors[ 2 ] );
+	} );
+
+	it( 'should destroy all editors when cleared', () => {
+		const editor = createEditor();
+
+		pool.release( 'foo', editor, [] );
+		pool.clear();
+
+		expect( editor.destroy ).toHaveBeenCalled();
+		expect( pool.acquire( 'foo' ) ).toBeNull();
+	} );
+
+	it( 'should not keep the editors if disabled', () => {
+		pool = new CKEditorPool( { maxSize: 0 } );
+
+		expect( pool.release( 'foo', createEditor(), [] ) ).toBeFalse();
+		expect( pool.size ).toEqual( 0 );
+	} );
+} );
+
+describe( 'CKEditorComponent with pool', () => {
+	let pool: CKEditorPool;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ CKEditorComponent ],
+			providers: [ provideCKEditorPool() ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( () => {
+		pool = TestBed.inject( CKEditorPool );
+	} );
+
+	afterEach( () => {
+		pool.clear();
+	} );
+
+	async function createComponent( data: string ): Promise<ComponentFixture<CKEditorComponent>> {
+		const fixture = TestBed.createComponent( CKEditorComponent );
+
+		fixture.componentInstance.data = data;
+		fixture.detectChanges();
+
+		await whenEvent( 'ready', fixture.componentInstance );
+
+		return fixture;
+	}
+
+	[ 'classic', 'inline' ].forEach( ( type: CKEditor4.EditorType ) => {
+		it( `should reuse the ${ type } editor of the destroyed component`, async () => {
+			const firstFixture = TestBed.createComponent( CKEditorComponent );
+
+			firstFixture.componentInstance.type = type;
+			firstFixture.componentInstance.data = '<p>foo</p>';
+			firstFixture.detectChanges();
+			await whenEvent( 'ready', firstFixture.componentInstance );
+
+			const editor = firstFixture.componentInstance.instance;
+
+			editor.setReadOnly( true );
+			firstFixture.destroy();
+
+			expect( pool.size ).toEqual( 1 );
+			expect( editor.status ).toEqual( 'ready' );
+
+			const fixture = TestBed.createComponent( CKEditorComponent );
+			const component = fixture.componentInstance;
+
+			component.type = type;
+			component.data = '<p>bar</p>';
+			fixture.detectChanges();
+			await whenEvent( 'ready', component );
+
+			expect( component.instance ).toBe( editor );
+			expect( pool.size ).toEqual( 0 );
+			expect( editor.getData() ).toEqual( '<p>bar</p>\n' );
+			expect( editor.readOnly ).toBeFalse();
+			expect( editor.checkDirty() ).toBeFalse();
+			expect( editor.undoManager.hasUndo ).toBeFalse();
+			expect( editor.container.$.parentNode ).toBe( fixture.nativeElement );
+
+			fixture.destroy();
+		} );
+	} );
+
+	it( 'should not propagate the changes to the destroyed component', async () => {
+		const firstFixture = await createComponent( '<p>foo</p>' );
+		const changeSpy = jasmine.createSpy( 'dataChange' );
+
+		firstFixture.componentInstance.dataChange.subscribe( changeSpy );
+		firstFixture.destroy();
+
+		const fixture = await createComponent( '<p>bar</p>' );
+
+		fixture.componentInstance.instance.fire( 'change' );
+
+		expect( changeSpy ).not.toHaveBeenCalled();
+
+		fixture.destroy();
+	} );
+
+	it( 'should clear the data of the reused editor', async () => {
+		( await createComponent( '<p>foo</p>' ) ).destroy();
+
+		const fixture = await createComponent( null );
+
+		expect( fixture.componentInstance.instance.getData() ).toEqual( '' );
+
+		fixture.destroy();
+	} );
+
+	it( 'should not reuse the editor with a different config', async () => {
+		( await createComponent( '<p>foo</p>' ) ).destroy();
+
+		const fixture = TestBed.createComponent( CKEditorComponent );
+
+		fixture.componentInstance.config = { language: 'de' };
+		fixture.detectChanges();
+		await whenEvent( 'ready', fixture.componentInstance );
+
+		expect( pool.size ).toEqual( 1 );
+
+		fixture.destroy();
+
+		expect( pool.size ).toEqual( 2 );
+	} );
+
+	it( 'should destroy the editor created with the listeners', async () => {
+		const fixture = TestBed.createComponent( CKEditorComponent );
+
+		fixture.componentInstance.config = { on: { instanceReady: () => {} } };
+		fixture.detectChanges();
+		await whenEvent( 'ready', fixture.componentInstance );
+
+		const editor = fixture.componentInstance.instance;
+
+		fixture.destroy();
+
+		expect( pool.size ).toEqual( 0 );
+		expect( editor.status ).toEqual( 'destroyed' );
+	} );
+} );
@@ -0,0 +1,178 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { Inject, Injectable, InjectionToken, OnDestroy, Optional, Provider } from '@angular/core';
+
+import { CKEditor4 } from './ckeditor';
+
+/**
+ * The options of `CKEditorPool`.
+ */
+export interface CKEditorPoolOptions {
+	/**
+	 * The maximum number of the editors kept in the pool. Once it's exceeded, the oldest editor is destroyed.
+	 * Defaults to `3`.
+	 */
+	maxSize?: number;
+}
+
+/**
+ * The injection token of the `CKEditorPool` options. Use `provideCKEditorPool()` to provide it.
+ */
+export const CKEDITOR_POOL_OPTIONS = new InjectionToken<CKEditorPoolOptions>( 'CKEDITOR_POOL_OPTIONS' );
+
+const DEFAULT_MAX_SIZE = 3;
+
+interface PoolEntry {
+	key: string;
+	editor: CKEditor4.Editor;
+	nodes: Node[];
+}
+
+/**
+ * Keeps the editors of the destroyed `CKEditorComponent` instances detached from the document and hands them
+ * to the next component created with the same `type`, `tagName` and `config`, so creating the editor
+ * (e.g. after a route change) doesn't take the time of loading a new iframe, its styles and plugins.
+ *
+ * The editors created with `config.on` listeners, the widgets, the dialogs, the upload adapter or the `<ckeditor-button>`
+ * buttons are never pooled, as they are bound to the component which created them.
+ *
+ * Provide it with `provideCKEditorPool()`, usually in the root injector, so it outlives the routes.
+ */
+@Injectable()
+export class CKEditorPool implements OnDestroy {
+	private _entries: PoolEntry[] = [];
+
+	private _maxSize: number;
+
+	constructor( @Optional() @Inject( CKEDITOR_POOL_OPTIONS ) options: CKEditorPoolOptions | null ) {
+		this._maxSize = options && options.maxSize !== undefined ? options.maxSize : DEFAULT_MAX_SIZE;
+	}
+
+	/**
+	 * The number of the editors kept in the pool.
+	 */
+	get size(): number {
+		return this._entries.length;
+	}
+
+	/**
+	 * Detaches the given editor nodes and keeps the editor for the next `acquire()` call with the same key.
+	 * Returns `false` if the editor can't be kept (e.g. the pool is disabled with `maxSize: 0`), so it should be destroyed.
+	 */
+	release( key: string, editor: CKEditor4.Editor, nodes: Node[] ): boolean {
+		if ( this._maxSize < 1 ) {
+			return false;
+		}
+
+		nodes.forEach( node => node.parentNode && node.parentNode.removeChild( node ) );
+		this._entries.push( { key, editor, nodes } );
+
+		while ( this._entries.length > this._maxSize ) {
+			this._entries.shift().editor.destroy( true );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Takes the editor released with the given key out of the pool, or returns `null` if there is no such editor.
+	 * The most recently released editor is returned first.
+	 */
+	acquire( key: string ): { editor: CKEditor4.Editor; nodes: Node[] } | null {
+		for ( let i = this._entries.length - 1; i >= 0; i-- ) {
+			const entry = this._entries[ i ];
+
+			if ( entry.key !== key ) {
+				continue;
+			}
+
+			this._entries.splice( i, 1 );
+
+			// The editor might have been destroyed directly, e.g. with `CKEDITOR.instances`.
+			if ( entry.editor.status === 'destroyed' ) {
+				continue;
+			}
+
+			return { editor: entry.editor, nodes: entry.nodes };
+		}
+
+		return null;
+	}
+
+	/**
+	 * Destroys all editors kept in the pool.
+	 */
+	clear(): void {
+		const entries = this._entries;
+
+		this._entries = [];
+		entries
+			.filter( entry => entry.editor.status !== 'destroyed' )
+			.forEach( entry => entry.editor.destroy( true ) );
+	}
+
+	ngOnDestroy(): void {
+		this.clear();
+	}
+}
+
+/**
+ * Returns the providers of the pool reusing the editors of the destroyed components, e.g.:
+ *
+ *		providers: [ provideCKEditorPool( { maxSize: 5 } ) ]
+ */
+export function provideCKEditorPool( options: CKEditorPoolOptions = {} ): Provider[] {
+	return [ CKEditorPool, { provide: CKEDITOR_POOL_OPTIONS, useValue: options } ];
+}
+
+/**
+ * Returns the key of the editors which can replace each other, or `null` if the config can't be compared
+ * (it contains functions or listeners), so the editor shouldn't be pooled.
+ */
+export function getPoolKey( type: string, tagName: string, config: Partial<CKEditor4.Config> ): string | null {
+	const { on, ...options } = config;
+
+	if ( on && Object.keys( on ).length ) {
+		return null;
+	}
+
+	const serializedConfig = serialize( options );
+
+	return serializedConfig === null ? null : `${ type }:${ tagName }:${ serializedConfig }`;
+}
+
+/**
+ * Serializes the value to JSON with the object keys sorted, so the same configs always have the same key.
+ */
+function serialize( value: unknown ): string | null {
+	if ( typeof value === 'function' || typeof value === 'symbol' ) {
+		return null;
+	}
+
+	if ( value === null || typeof value !== 'object' ) {
+		return value === undefined ? 'null' : JSON.stringify( value );
+	}
+
+	if ( Array.isArray( value ) ) {
+		const items = value.map( serialize );
+
+		return items.indexOf( null ) === -1 ? `[${ items.join( ',' ) }]` : null;
+	}
+
+	if ( Object.getPrototypeOf( value ) !== Object.prototype ) {
+		return null;
+	}
+
+	const entries = Object.keys( value ).sort()
+		.filter( key => ( value as any )[ key ] !== undefined )
+		.map( key => {
+			const item = serialize( ( value as any )[ key ] );
+
+			return item === null ? null : `${ JSON.stringify( key ) }:${ item }`;
+		} );
+
+	return entries.indexOf( null ) === -1 ? `{${ entries.join( ',' ) }}` : null;
+}
@@ -0,0 +1,179 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { CKEditorComponent } from './ckeditor.component';
+import { CKEditorSanitizeEvent, runSanitizer, sanitizeHtml } from './ckeditor.sanitizer';
+import { whenDataReady, whenEvent } from '../test.tools';
+
+describe( 'sanitizeHtml', () => {
+	it( 'should keep the safe HTML untouched', () => {
+		const html = '<p style="color:red" class="foo">Foo <a href="https://ckeditor.com">bar</a><img src="data:image/png;base64,AA=="></p>';
+
+		expect( sanitizeHtml( html ) ).toEqual( { html, removed: [] } );
+	} );
+
+	it( 'should remove the scripts and embedded documents with their content', () => {
+		expect( sanitizeHtml( '<p>foo</p><script>alert( 1 )</script><iframe src="https://ckeditor.com"></iframe>' ) ).toEqual( {
+			html: '<p>foo</p>',
+			removed: [
+				{ type: 'element', element: 'script' },
+				{ type: 'element', element: 'iframe' }
+			]
+		} );
+	} );
+
+	it( 'should remove the event handlers and unsafe URLs', () => {
+		expect( sanitizeHtml( '<p onclick="alert( 1 )"><a href="java\tscript:alert( 1 )">foo</a><img src="x.png" onerror="alert( 1 )"></p>' ) )
+			.toEqual( {
+				html: '<p><a>foo</a><img src="x.png"></p>',
+				removed: [
+					{ type: 'attribute', element: 'p', attribute: 'onclick', value: 'alert( 1 )' },
+					{ type: 'attribute', element: 'a', attribute: 'href', value: 'java\tscript:alert( 1 )' },
+					{ type: 'attribute', element: 'img', attribute: 'onerror', value: 'alert( 1 )' }
+				]
+			} );
+	} );
+
+	it( 'should remove the unsafe styles', () => {
+		expect( sanitizeHtml( '<p style="background: url(javascript:alert( 1 ))">foo</p>' ).html ).toEqual( '<p>foo</p>' );
+	} );
+
+	it( 'should remove the vbscript: and non-image data: URLs', () => {
+		expect( sanitizeHtml( '<a href="vbscript:msgbox( 1 )">foo</a><a href="data:text/html,bar">bar</a>' ).html )
+			.toEqual( '<a>foo</a><a>bar</a>' );
+	} );
+
+	it( 'should remove the SVG and MathML with their content', () => {
+		expect( sanitizeHtml( '<p>foo</p><svg><a><animate attributeName="href" values="javascript:alert( 1 )"></animate></a></svg>' ) )
+			.toEqual( { html: '<p>foo</p>', removed: [ { type: 'element', element: 'svg' } ] } );
+		expect( sanitizeHtml( '<svg><set attributeName="onmouseover" to="alert( 1 )"></set></svg><p>foo</p>' ) )
+			.toEqual( { html: '<p>foo</p>', removed: [ { type: 'element', element: 'svg' } ] } );
+		expect( sanitizeHtml( '<p>foo<math><mi>x</mi></math></p>' ).html ).toEqual( '<p>foo</p>' );
+	} );
+
+	it( 'should unwrap the unknown elements and remove the unknown attributes', () => {
+		expect( sanitizeHtml( '<p id="foo" data-foo="bar" aria-label="baz">foo <custom-element>bar</custom-element></p>' ) ).toEqual( {
+			html: '<p data-foo="bar" aria-label="baz">foo bar</p>',
+			removed: [
+				{ type: 'attribute', element: 'p', attribute: 'id', value: 'foo' },
+				{ type: 'element', element: 'custom-element' }
+			]
+		} );
+	} );
+
+	it( 'should sanitize the HTML until parsing it again does not change it', () => {
+		const { html } = sanitizeHtml( '<form><math><mtext></form><form><mglyph><style></math><img src onerror="alert( 1 )">' );
+
+		expect( html ).not.toContain( 'onerror' );
+		expect( sanitizeHtml( html ) ).toEqual( { html, removed: [] } );
+	} );
+
+	it( 'should escape the HTML which keeps changing when parsed again', () => {
+		const parsingDocument = document.implementation.createHTMLDocument( '' );
+		let parsedHtml = '';
+
+		// Simulate the HTML which gets a new element each time it's parsed.
+		Object.defineProperty( parsingDocument.body, 'innerHTML', {
+			get: () => parsedHtml,
+			set: ( value: string ) => {
+				parsedHtml = value + '<b>x</b>';
+			}
+		} );
+		spyOn( document.implementation, 'createHTMLDocument' ).and.returnValue( parsingDocument );
+
+		const { html, error } = sanitizeHtml( '<p>foo</p>' );
+
+		expect( html ).toMatch( /^&lt;p&gt;foo&lt;\/p&gt;(&lt;b&gt;x&lt;\/b&gt;)+$/ );
+		expect( error ).toEqual( jasmine.any( Error ) );
+	} );
+} );
+
+describe( 'runSanitizer', () => {
+	it( 'should drop the data when the sanitizer throws', () => {
+		const failure = new Error( 'Sanitizer failed.' );
+
+		expect( runSanitizer( () => {
+			throw failure;
+		}, '<p>foo</p>' ) ).toEqual( { html: '', removed: [], error: failure } );
+	} );
+} );
+
+describe( 'CKEditorComponent with sanitizer', () => {
+	let fixture: ComponentFixture<CKEditorComponent>,
+		component: CKEditorComponent,
+		events: CKEditorSanitizeEvent[];
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ CKEditorComponent ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( async () => {
+		events = [];
+		fixture = TestBed.createComponent( CKEditorComponent );
+		component = fixture.componentInstance;
+		component.sanitize = true;
+		component.config = { allowedContent: true };
+		component.sanitized.subscribe( ( event: CKEditorSanitizeEvent ) => events.push( event ) );
+
+		fixture.detectChanges();
+
+		await whenEvent( 'ready', component );
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should sanitize the data set to the editor', async () => {
+		await whenDataReady( component.instance, () => component.data = '<p onclick="alert( 1 )">foo</p>' );
+
+		expect( component.instance.getData() ).toEqual( '<p>foo</p>\n' );
+		expect( events[ 0 ] ).toEqual( {
+			direction: 'input',
+			removed: [ { type: 'attribute', element: 'p', attribute: 'onclick', value: 'alert( 1 )' } ]
+		} );
+	} );
+
+	it( 'should sanitize the data emitted by the component', async () => {
+		const changeSpy = jasmine.createSpy( 'onChange' );
+
+		component.registerOnChange( changeSpy );
+
+		await whenDataReady( component.instance, () => component.instance.setData( '<p>foo</p><p><a href="javascript:alert( 1 )">bar</a></p>' ) );
+
+		component.instance.fire( 'change' );
+
+		expect( changeSpy ).toHaveBeenCalledWith( '<p>foo</p>\n\n<p><a>bar</a></p>\n' );
+		expect( events[ events.length - 1 ].direction ).toEqual( 'output' );
+	} );
+
+	it( 'should use the custom sanitizer', async () => {
+		component.sanitize = html => html.replace( 'foo', 'bar' );
+
+		await whenDataReady( component.instance, () => component.data = '<p>foo</p>' );
+
+		expect( component.instance.getData() ).toEqual( '<p>bar</p>\n' );
+	} );
+
+	it( 'should emit the error and drop the data when the sanitizer throws', async () => {
+		const failure = new Error( 'Sanitizer failed.' );
+		const errorSpy = jasmine.createSpy( 'error' );
+
+		component.error.subscribe( errorSpy );
+		component.sanitize = () => {
+			throw failure;
+		};
+
+		await whenDataReady( component.instance, () => component.data = '<p>foo</p>' );
+
+		expect( component.instance.getData() ).toEqual( '' );
+		expect( errorSpy.calls.first().args[ 0 ].phase ).toEqual( 'sanitize' );
+		expect( errorSpy.calls.first().args[ 0 ].cause ).toBe( failure );
+	} );
+} );
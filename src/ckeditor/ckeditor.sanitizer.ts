@@ -0,0 +1,247 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+/**
+ * The content removed by the sanitizer: the whole element or one of its attributes.
+ */
+export interface CKEditorRemovedContent {
+	type: 'element' | 'attribute';
+
+	/**
+	 * The name of the removed element or the element of the removed attribute.
+	 */
+	element: string;
+
+	/**
+	 * The name of the removed attribute.
+	 */
+	attribute?: string;
+
+	/**
+	 * The value of the removed attribute.
+	 */
+	value?: string;
+}
+
+/**
+ * The result of sanitizing the HTML.
+ */
+export interface CKEditorSanitizeResult {
+	html: string;
+	removed: CKEditorRemovedContent[];
+
+	/**
+	 * Set if the HTML couldn't be sanitized. The `html` is the safe fallback then, e.g. the escaped HTML.
+	 */
+	error?: unknown;
+}
+
+/**
+ * The function sanitizing the editor data, see `CKEditorComponent#sanitize`. Sanitizers returning
+ * a string instead of `CKEditorSanitizeResult` don't report the removed content.
+ */
+export type CKEditorSanitizer = ( html: string ) => string | CKEditorSanitizeResult;
+
+/**
+ * Emitted by `CKEditorComponent#sanitized` when the sanitizer removed some content from the data
+ * set to the editor (`input`) or emitted by the component (`output`).
+ */
+export interface CKEditorSanitizeEvent {
+	direction: 'input' | 'output';
+	removed: CKEditorRemovedContent[];
+}
+
+/**
+ * Elements removed together with their content. The SVG and MathML elements are removed as a whole, since their
+ * attributes (e.g. `<animate>` or `<set>` targeting another attribute) can't be verified one by one.
+ */
+const FORBIDDEN_ELEMENTS = toMap(
+	'script,style,template,noscript,iframe,frame,frameset,object,embed,applet,base,link,meta,svg,math'
+);
+
+/**
+ * The elements allowed by the Angular `DomSanitizer`. The other elements are removed, but their content is kept.
+ */
+const ALLOWED_ELEMENTS = toMap(
+	// Void and optional end tag elements.
+	'area,br,col,hr,img,wbr,colgroup,dd,dt,li,p,tbody,td,tfoot,th,thead,tr,rp,rt,' +
+	// Block elements.
+	'address,article,aside,blockquote,caption,center,del,details,dialog,dir,div,dl,figure,figcaption,footer,' +
+	'h1,h2,h3,h4,h5,h6,header,hgroup,ins,main,map,menu,nav,ol,pre,section,summary,table,ul,' +
+	// Inline elements.
+	'a,abbr,acronym,audio,b,bdi,bdo,big,cite,code,dfn,em,font,i,kbd,label,mark,picture,q,ruby,s,samp,small,' +
+	'source,span,strike,strong,sub,sup,time,track,tt,u,var,video'
+);
+
+const URL_ATTRIBUTES = toMap( 'background,cite,href,itemtype,longdesc,poster,src,xlink:href' );
+
+/**
+ * The attributes allowed by the Angular `DomSanitizer` besides the URL and ARIA attributes. Unlike Angular, the `style`
+ * attribute is allowed too, so the content formatting isn't lost.
+ */
+const ALLOWED_ATTRIBUTES = toMap(
+	'abbr,accesskey,align,alt,autoplay,axis,bgcolor,border,cellpadding,cellspacing,class,clear,color,cols,colspan,' +
+	'compact,controls,coords,datetime,default,dir,download,face,headers,height,hidden,hreflang,hspace,ismap,itemscope,' +
+	'itemprop,kind,label,lang,language,loop,media,muted,nohref,nowrap,open,preload,rel,rev,role,rows,rowspan,rules,' +
+	'scope,scrolling,shape,size,sizes,span,srclang,srcset,start,style,summary,tabindex,target,title,translate,type,' +
+	'usemap,valign,value,vspace,width'
+);
+
+/**
+ * Any URL with a scheme other than `javascript:`, `vbscript:` and `data:`, or a relative URL.
+ */
+const SAFE_URL_PATTERN = /^(?!(?:javascript|vbscript|data):)(?:[a-z0-9+.-]+:|[^&:\/?#]*(?:[\/?#]|$))/i;
+
+/**
+ * The `data:` URLs of the images, e.g. the pasted ones.
+ */
+const DATA_IMAGE_PATTERN = /^data:image\/(?:bmp|gif|jpeg|jpg|png|tiff|webp);base64,[a-z0-9+\/]+=*$/i;
+
+const UNSAFE_STYLE_PATTERN = /expression\s*\(|(?:java|vb)script:|behavior\s*:|-moz-binding/i;
+
+/**
+ * Parsing the sanitized HTML again may give a different result (so called mutation XSS), so the HTML is sanitized
+ * until it doesn't change, but no more times than that.
+ */
+const MAX_SANITIZE_PASSES = 5;
+
+/**
+ * The default sanitizer following the Angular `DomSanitizer` rules: only the allowed elements and attributes are kept,
+ * scripts, embedded documents, SVG and MathML are removed with their content and the URLs are limited to the safe
+ * schemes and image `data:` URLs. Unlike Angular, it keeps the `style` and `data-*` attributes, so the content formatting
+ * and the widgets data (see `provideCKEditorWidget()`) aren't lost.
+ *
+ * The HTML is parsed in an inert document, so none of its scripts or resources are executed or loaded.
+ * The document used to create it can be passed where there's no global one, e.g. during the server-side rendering.
+ */
+export function sanitizeHtml( html: string, ownerDocument: Document = document ): CKEditorSanitizeResult {
+	if ( !html ) {
+		return { html, removed: [] };
+	}
+
+	const body = ownerDocument.implementation.createHTMLDocument( '' ).body;
+	const removed: CKEditorRemovedContent[] = [];
+	let input = html;
+
+	for ( let pass = 0; pass < MAX_SANITIZE_PASSES; pass++ ) {
+		body.innerHTML = input;
+		removed.push( ...sanitizeElement( body ) );
+
+		if ( body.innerHTML === input ) {
+			return { html: input, removed };
+		}
+
+		input = body.innerHTML;
+	}
+
+	// Show the markup as the text rather than keep the HTML which may turn unsafe when parsed again.
+	return {
+		html: escapeHtml( input ),
+		removed,
+		error: new Error( 'The HTML was escaped because it keeps changing when parsed again.' )
+	};
+}
+
+/**
+ * Sanitizes the HTML with the given sanitizer, see `CKEditorComponent#sanitize`. The data is dropped
+ * if the sanitizer throws, as none of it can be trusted then.
+ */
+export function runSanitizer( sanitizer: CKEditorSanitizer, html: string ): CKEditorSanitizeResult {
+	let result: string | CKEditorSanitizeResult;
+
+	try {
+		result = sanitizer( html );
+	} catch ( err ) {
+		return { html: '', removed: [], error: err };
+	}
+
+	return typeof result === 'string' ? { html: result, removed: [] } : result;
+}
+
+/**
+ * Checks if the URL has a safe scheme (or no scheme) or is an image `data:` URL.
+ */
+export function isSafeUrl( url: string ): boolean {
+	// Browsers ignore the whitespace and control characters in URLs, e.g. `java\tscript:`.
+	url = url.replace( /[\u0000- ]/g, '' );
+
+	return SAFE_URL_PATTERN.test( url ) || DATA_IMAGE_PATTERN.test( url );
+}
+
+/**
+ * Removes the disallowed elements and attributes from the element content.
+ */
+function sanitizeElement( root: HTMLElement ): CKEditorRemovedContent[] {
+	const removed: CKEditorRemovedContent[] = [];
+
+	Array.from( root.querySelectorAll( '*' ) ).forEach( element => {
+		const name = element.nodeName.toLowerCase();
+
+		// Skip the content of the already removed elements.
+		if ( !root.contains( element ) ) {
+			return;
+		}
+
+		if ( FORBIDDEN_ELEMENTS[ name ] ) {
+			element.parentNode.removeChild( element );
+			removed.push( { type: 'element', element: name } );
+
+			return;
+		}
+
+		// Unwrap the element, its content is sanitized separately.
+		if ( !ALLOWED_ELEMENTS[ name ] ) {
+			while ( element.firstChild ) {
+				element.parentNode.insertBefore( element.firstChild, element );
+			}
+
+			element.parentNode.removeChild( element );
+			removed.push( { type: 'element', element: name } );
+
+			return;
+		}
+
+		Array.from( element.attributes ).forEach( attribute => {
+			if ( !isSafeAttribute( attribute.name.toLowerCase(), attribute.value ) ) {
+				element.removeAttribute( attribute.name );
+				removed.push( { type: 'attribute', element: name, attribute: attribute.name, value: attribute.value } );
+			}
+		} );
+	} );
+
+	return removed;
+}
+
+function isSafeAttribute( name: string, value: string ): boolean {
+	if ( URL_ATTRIBUTES[ name ] ) {
+		return isSafeUrl( value );
+	}
+
+	if ( name === 'srcset' ) {
+		return value.split( ',' ).every( candidate => isSafeUrl( candidate.trim().split( /\s+/ )[ 0 ] ) );
+	}
+
+	if ( name === 'style' ) {
+		return !UNSAFE_STYLE_PATTERN.test( value );
+	}
+
+	return !!ALLOWED_ATTRIBUTES[ name ] || /^(?:aria|data)-[a-z0-9_.-]+$/.test( name );
+}
+
+function escapeHtml( text: string ): string {
+	return text
+		.replace( /&/g, '&amp;' )
+		.replace( /</g, '&lt;' )
+		.replace( />/g, '&gt;' )
+		.replace( /"/g, '&quot;' );
+}
+
+function toMap( names: string ): { [ name: string ]: boolean } {
+	return names.split( ',' ).reduce( ( map, name ) => {
+		map[ name ] = true;
+
+		return map;
+	}, {} as { [ name: string ]: boolean } );
+}
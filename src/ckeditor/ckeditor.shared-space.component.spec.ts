@@ -0,0 +1,79 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { Component } from '@angular/core';
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { By } from '@angular/platform-browser';
+
+import { CKEditorComponent } from './ckeditor.component';
+import { CKEditorSharedSpaceComponent } from './ckeditor.shared-space.component';
+import { whenEvent } from '../test.tools';
+
+describe( 'CKEditorSharedSpaceComponent', () => {
+	@Component( {
+		selector: 'shared-space-editors',
+		standalone: true,
+		imports: [ CKEditorComponent, CKEditorSharedSpaceComponent ],
+		template: `<ckeditor-shared-space #top></ckeditor-shared-space>
+			<ckeditor type="inline" data="<p>foo</p>" [sharedSpaces]="[ top, bottom ]"></ckeditor>
+			<ckeditor type="inline" data="<p>bar</p>" [sharedSpaces]="top"></ckeditor>
+			<ckeditor-shared-space id="path" position="bottom" #bottom></ckeditor-shared-space>`
+	} )
+	class SharedSpaceEditorsComponent {}
+
+	let fixture: ComponentFixture<SharedSpaceEditorsComponent>,
+		editors: CKEditorComponent[],
+		topSpace: HTMLElement,
+		bottomSpace: HTMLElement;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ SharedSpaceEditorsComponent ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( async () => {
+		fixture = TestBed.createComponent( SharedSpaceEditorsComponent );
+		editors = fixture.debugElement.queryAll( By.directive( CKEditorComponent ) ).map( debugElement => debugElement.componentInstance );
+		[ topSpace, bottomSpace ] = fixture.nativeElement.querySelectorAll( 'ckeditor-shared-space' );
+
+		fixture.detectChanges();
+
+		await Promise.all( editors.map( editor => whenEvent( 'ready', editor ) ) );
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should identify the space elements', () => {
+		expect( topSpace.id ).toMatch( /^ckeditor-shared-space-\d+$/ );
+		expect( bottomSpace.id ).toEqual( 'path' );
+	} );
+
+	it( 'should render the editor UI in the shared spaces', () => {
+		const [ first, second ] = editors.map( editor => editor.instance );
+
+		expect( topSpace.contains( first.ui.space( 'top' ).$ ) ).toBeTrue();
+		expect( topSpace.contains( second.ui.space( 'top' ).$ ) ).toBeTrue();
+		expect( bottomSpace.contains( first.ui.space( 'bottom' ).$ ) ).toBeTrue();
+		expect( second.config.sharedSpaces ).toEqual( { top: topSpace.id } );
+		expect( first.plugins.floatingspace ).toBeUndefined();
+	} );
+
+	it( 'should show the UI of the focused editor', () => {
+		const [ first, second ] = editors.map( editor => editor.instance );
+
+		first.fire( 'focus' );
+
+		expect( first.ui.space( 'top' ).isVisible() ).toBeTrue();
+		expect( second.ui.space( 'top' ).isVisible() ).toBeFalse();
+
+		second.fire( 'focus' );
+
+		expect( first.ui.space( 'top' ).isVisible() ).toBeFalse();
+		expect( second.ui.space( 'top' ).isVisible() ).toBeTrue();
+	} );
+} );
@@ -0,0 +1,57 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import {
+	Component,
+	ElementRef,
+	Input
+} from '@angular/core';
+
+/**
+ * The space of the editor UI, see `CKEditorSharedSpaceComponent#position`.
+ */
+export type CKEditorSharedSpacePosition = 'top' | 'bottom';
+
+let lastId = 0;
+
+/**
+ * The fixed location where the editors targeting it render their UI instead of the floating toolbar, e.g.:
+ *
+ *		<ckeditor-shared-space #toolbar></ckeditor-shared-space>
+ *
+ *		<ckeditor type="inline" [sharedSpaces]="toolbar" [(ngModel)]="title"></ckeditor>
+ *		<ckeditor type="inline" [sharedSpaces]="toolbar" [(ngModel)]="content"></ckeditor>
+ *
+ * Only the UI of the focused editor is shown. It uses the `sharedspace` plugin, see
+ * https://ckeditor.com/docs/ckeditor4/latest/features/sharedspace.html to learn more.
+ */
+@Component( {
+	selector: 'ckeditor-shared-space',
+	standalone: true,
+	template: '',
+	host: { class: 'ckeditor-shared-space' }
+} )
+export class CKEditorSharedSpaceComponent {
+	/**
+	 * The UI rendered in the space: `top` for the toolbar or `bottom` for the elements path.
+	 *
+	 * Defaults to `top`.
+	 */
+	@Input() position: CKEditorSharedSpacePosition = 'top';
+
+	constructor( private elementRef: ElementRef<HTMLElement> ) {
+		// The plugin finds the space by its ID.
+		if ( !elementRef.nativeElement.id ) {
+			elementRef.nativeElement.id = `ckeditor-shared-space-${ ++lastId }`;
+		}
+	}
+
+	/**
+	 * The ID of the space element.
+	 */
+	get id(): string {
+		return this.elementRef.nativeElement.id;
+	}
+}
@@ -4,21 +4,90 @@
  */
 
 /**
- * Basic typings for the CKEditor4 elements.
+ * Typings for the CKEditor4 API used by the integration.
+ *
+ * Plugins may extend the configuration and the namespace with additional members, so the `Config`
+ * and `Namespace` interfaces also accept any other properties. The `Editor` interface lists the known
+ * members only, cast the editor to access the members added by other plugins, e.g. `( editor as any ).widgets`.
  */
 export namespace CKEditor4 {
 	/**
-	 * The CKEditor4 editor constructor.
+	 * The CKEditor4 editor configuration.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_config.html
+	 * to learn more.
 	 */
 	export interface Config {
+		allowedContent?: boolean | string | { [ rule: string ]: any };
+		autoGrow_bottomSpace?: number;
+		autoGrow_maxHeight?: number;
+		autoGrow_minHeight?: number;
+		autoGrow_onStartup?: boolean;
+		autoParagraph?: boolean;
+		baseFloatZIndex?: number;
+		baseHref?: string;
+		bodyClass?: string;
+		bodyId?: string;
+		contentsCss?: string | string[];
+		contentsLangDirection?: 'ui' | 'ltr' | 'rtl';
+		contentsLanguage?: string;
+		customConfig?: string;
+		dataIndentationChars?: string;
+		defaultLanguage?: string;
+		delayIfDetached?: boolean;
+		delayIfDetached_callback?: ( createEditor: () => void ) => void;
+		delayIfDetached_interval?: number;
+		disableNativeSpellChecker?: boolean;
+		disallowedContent?: string | { [ rule: string ]: any };
+		enterMode?: EnterMode;
+		extraAllowedContent?: string | { [ rule: string ]: any };
+		extraPlugins?: string | string[];
+		filebrowserBrowseUrl?: string;
+		filebrowserImageBrowseUrl?: string;
+		filebrowserImageUploadUrl?: string;
+		filebrowserUploadMethod?: 'xhr' | 'form';
+		filebrowserUploadUrl?: string;
+		fullPage?: boolean;
+		height?: number | string;
+		htmlEncodeOutput?: boolean;
+		imageUploadUrl?: string;
+		language?: string;
+		on?: { [ eventName: string ]: Listener };
+		pasteFilter?: string | null;
+		plugins?: string | string[];
+		readOnly?: boolean;
+		removeButtons?: string;
+		removeDialogTabs?: string;
+		removePlugins?: string | string[];
+		resize_enabled?: boolean;
+		sharedSpaces?: { top?: string | HTMLElement; bottom?: string | HTMLElement };
+		shiftEnterMode?: EnterMode;
+		skin?: string;
+		startupFocus?: boolean | 'start' | 'end';
+		startupMode?: 'wysiwyg' | 'source';
+		tabIndex?: number;
+		title?: string | boolean;
+		toolbar?: string | Array<string | string[] | ToolbarGroup>;
+		toolbarCanCollapse?: boolean;
+		toolbarGroups?: Array<string | ToolbarGroup>;
+		toolbarLocation?: 'top' | 'bottom';
+		uiColor?: string;
+		uploadUrl?: string;
+		width?: number | string;
+
+		// The plugins (also the custom and external ones) define their own options, e.g. `mentions` or `codeSnippet_theme`,
+		// so the options can't be limited to the listed ones. `unknown` would reject the configs typed as `Object` or as
+		// other interfaces without an index signature.
 		[ key: string ]: any;
 	}
 
 	/**
-	 * The CKEditor4 editor.
+	 * The toolbar group definition used by `config.toolbar` and `config.toolbarGroups`.
 	 */
-	export interface Editor {
-		[ key: string ]: any;
+	export interface ToolbarGroup {
+		name: string;
+		items?: string[];
+		groups?: string[];
 	}
 
 	/**
@@ -32,23 +101,54 @@ export namespace CKEditor4 {
 	}
 
 	/**
-	 * The event object passed to CKEditor4 event callbacks.
+	 * The way the editor is attached to its element, see `Editor#elementMode`.
+	 */
+	export const enum ElementMode {
+		NONE = 0,
+		REPLACE = 1,
+		APPENDTO = 2,
+		INLINE = 3
+	}
+
+	/**
+	 * The behavior of the Enter key, see `Config#enterMode`.
+	 */
+	export const enum EnterMode {
+		P = 1,
+		BR = 2,
+		DIV = 3
+	}
+
+	/**
+	 * The state of a command or a button (`CKEDITOR.TRISTATE_*` constants).
+	 */
+	export const enum CommandState {
+		DISABLED = 0,
+		ON = 1,
+		OFF = 2
+	}
+
+	/**
+	 * The type of the selection (`CKEDITOR.SELECTION_*` constants).
+	 */
+	export const enum SelectionType {
+		NONE = 1,
+		TEXT = 2,
+		ELEMENT = 3
+	}
+
+	/**
+	 * The event object passed to CKEditor4 event callbacks. The `TData` type describes the event data.
 	 *
 	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_eventInfo.html
 	 * to learn more.
 	 */
-	export interface EventInfo {
+	export interface EventInfo<TData = any> {
 		readonly name: string;
-		readonly editor: any;
-		readonly data: {
-			[ key: string ]: any;
-		};
-		readonly listenerData: {
-			[ key: string ]: any;
-		};
-		readonly sender: {
-			[ key: string ]: any;
-		};
+		readonly editor: Editor;
+		readonly data: TData;
+		readonly listenerData: any;
+		readonly sender: any;
 
 		cancel(): void;
 
@@ -56,4 +156,1057 @@ export namespace CKEditor4 {
 
 		stop(): void;
 	}
+
+	/**
+	 * The CKEditor4 event listener.
+	 */
+	export type Listener<TData = any> = ( evt: EventInfo<TData> ) => any;
+
+	/**
+	 * The object returned by `Event#on()` which can be used to remove the listener.
+	 */
+	export interface ListenerRegistration {
+		removeListener(): void;
+	}
+
+	/**
+	 * The objects which can fire and listen to events, e.g. the editor or the commands.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_event.html
+	 * to learn more.
+	 */
+	export interface Event {
+		on<TData = any>(
+			eventName: string, listener: Listener<TData>, scopeObj?: any, listenerData?: any, priority?: number
+		): ListenerRegistration;
+
+		once<TData = any>(
+			eventName: string, listener: Listener<TData>, scopeObj?: any, listenerData?: any, priority?: number
+		): ListenerRegistration;
+
+		fire( eventName: string, data?: any, editor?: Editor ): any;
+
+		fireOnce( eventName: string, data?: any, editor?: Editor ): any;
+
+		capture(): void;
+
+		hasListeners( eventName: string ): boolean;
+
+		removeListener( eventName: string, listener: Listener ): void;
+
+		removeAllListeners(): void;
+	}
+
+	/**
+	 * The DOM wrappers used by the editor.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_dom.html
+	 * to learn more.
+	 */
+	export namespace dom {
+		/**
+		 * The base of all DOM wrappers.
+		 */
+		export interface DomObject extends Event {
+			readonly $: any;
+
+			equals( object: any ): boolean;
+
+			getCustomData( key: string ): any;
+
+			getUniqueId(): string;
+
+			removeCustomData( key: string ): any;
+
+			setCustomData( key: string, value: any ): this;
+		}
+
+		/**
+		 * The DOM node wrapper.
+		 */
+		export interface Node extends DomObject {
+			readonly $: globalThis.Node;
+			readonly type: number;
+
+			appendTo( element: Element ): Element;
+
+			clone( includeChildren?: boolean, cloneId?: boolean ): Node;
+
+			getAscendant( query: string | ( ( element: Element ) => boolean ), includeSelf?: boolean ): Element | null;
+
+			getCommonAncestor( node: Node ): Element | null;
+
+			getDocument(): Document;
+
+			getIndex( normalized?: boolean ): number;
+
+			getNext( evaluator?: ( node: Node ) => boolean ): Node | null;
+
+			getParent( allowFragmentParent?: boolean ): Element | null;
+
+			getPrevious( evaluator?: ( node: Node ) => boolean ): Node | null;
+
+			hasAscendant( name: string, includeSelf?: boolean ): boolean;
+
+			insertAfter( node: Node ): Node;
+
+			insertBefore( node: Node ): Node;
+
+			isReadOnly(): boolean;
+
+			remove( preserveChildren?: boolean ): this;
+
+			replace( nodeToReplace: Node ): void;
+		}
+
+		/**
+		 * The DOM element wrapper.
+		 *
+		 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_dom_element.html
+		 * to learn more.
+		 */
+		export interface Element extends Node {
+			readonly $: HTMLElement;
+
+			addClass( className: string ): this;
+
+			append( node: Node | string, toStart?: boolean ): Node;
+
+			appendHtml( html: string ): void;
+
+			appendText( text: string ): void;
+
+			data( name: string, value?: string | false ): string | null;
+
+			find( selector: string ): NodeList<Element>;
+
+			findOne( selector: string ): Element | null;
+
+			focus( defer?: boolean ): void;
+
+			getAttribute( name: string ): string | null;
+
+			getChild( indices: number | number[] ): Node | null;
+
+			getChildCount(): number;
+
+			getChildren(): NodeList<Node>;
+
+			getComputedStyle( propertyName: string ): string;
+
+			getEditor( optimized?: boolean ): Editor | null;
+
+			getFirst( evaluator?: ( node: Node ) => boolean ): Node | null;
+
+			getHtml(): string;
+
+			getId(): string | null;
+
+			getLast( evaluator?: ( node: Node ) => boolean ): Node | null;
+
+			getName(): string;
+
+			getOuterHtml(): string;
+
+			getSize( type: 'width' | 'height', isBorderBox?: boolean ): number;
+
+			getStyle( name: string ): string;
+
+			getText(): string;
+
+			hasAttribute( name: string ): boolean;
+
+			hasClass( className: string ): boolean;
+
+			hide(): void;
+
+			is( ...names: string[] ): boolean;
+
+			isEditable( textCursor?: boolean ): boolean;
+
+			isVisible(): boolean;
+
+			removeAttribute( name: string ): void;
+
+			removeAttributes( attributes?: string[] ): void;
+
+			removeClass( className: string ): this;
+
+			removeStyle( name: string ): void;
+
+			scrollIntoView( alignToTop?: boolean ): void;
+
+			setAttribute( name: string, value: string ): this;
+
+			setAttributes( attributesPairs: { [ name: string ]: string } ): this;
+
+			setHtml( html: string ): string;
+
+			setStyle( name: string, value: string ): this;
+
+			setStyles( stylesPairs: { [ name: string ]: string } ): this;
+
+			setText( text: string ): string;
+
+			show(): void;
+		}
+
+		/**
+		 * The DOM text node wrapper.
+		 */
+		export interface Text extends Node {
+			readonly $: globalThis.Text;
+
+			getLength(): number;
+
+			getText(): string;
+
+			setText( text: string ): void;
+
+			split( offset: number ): Text;
+
+			substring( indexA: number, indexB?: number ): string;
+		}
+
+		/**
+		 * The DOM document fragment wrapper.
+		 */
+		export interface DocumentFragment {
+			readonly $: globalThis.DocumentFragment;
+
+			append( node: Node | string ): Node;
+
+			getChildCount(): number;
+
+			getChildren(): NodeList<Node>;
+
+			getHtml(): string;
+
+			insertAfterNode( node: Node ): void;
+		}
+
+		/**
+		 * The DOM document wrapper.
+		 */
+		export interface Document extends DomObject {
+			readonly $: globalThis.Document;
+
+			createElement( name: string, attribsAndStyles?: { attributes?: any; styles?: any } ): Element;
+
+			createText( text: string ): Text;
+
+			find( selector: string ): NodeList<Element>;
+
+			findOne( selector: string ): Element | null;
+
+			getActive(): Element | null;
+
+			getBody(): Element;
+
+			getById( elementId: string ): Element | null;
+
+			getDocumentElement(): Element;
+
+			getHead(): Element;
+
+			getSelection(): Selection;
+
+			getWindow(): Window;
+		}
+
+		/**
+		 * The DOM window wrapper.
+		 */
+		export interface Window extends DomObject {
+			readonly $: globalThis.Window;
+
+			focus(): void;
+
+			getFrame(): Element | null;
+
+			getScrollPosition(): { x: number; y: number };
+
+			getViewPaneSize(): { width: number; height: number };
+		}
+
+		/**
+		 * The list of DOM nodes.
+		 */
+		export interface NodeList<TNode extends Node = Node> {
+			count(): number;
+
+			getItem( index: number ): TNode;
+
+			toArray(): TNode[];
+		}
+
+		/**
+		 * The list of elements from the given node to the editable root.
+		 *
+		 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_dom_elementPath.html
+		 * to learn more.
+		 */
+		export interface ElementPath {
+			readonly block: Element | null;
+			readonly blockLimit: Element;
+			readonly elements: Element[];
+			readonly lastElement: Element;
+			readonly root: Element;
+
+			contains( query: string | string[] | ( ( element: Element ) => boolean ), excludeRoot?: boolean, fromTop?: boolean ): Element | null;
+
+			isContextFor( tag: string ): boolean;
+		}
+
+		/**
+		 * The DOM range.
+		 *
+		 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_dom_range.html
+		 * to learn more.
+		 */
+		export interface Range {
+			readonly collapsed: boolean;
+			readonly document: Document;
+			readonly endContainer: Node;
+			readonly endOffset: number;
+			readonly root: Element;
+			readonly startContainer: Node;
+			readonly startOffset: number;
+
+			checkEndOfBlock(): boolean;
+
+			checkStartOfBlock(): boolean;
+
+			clone(): Range;
+
+			cloneContents( cloneId?: boolean ): DocumentFragment;
+
+			collapse( toStart?: boolean ): void;
+
+			createBookmark( serializable?: boolean ): Bookmark;
+
+			createBookmark2( normalized?: boolean ): Bookmark2;
+
+			deleteContents( mergeThen?: boolean ): void;
+
+			enlarge( unit: number, excludeBrs?: boolean ): void;
+
+			extractContents( mergeThen?: boolean, cloneId?: boolean ): DocumentFragment;
+
+			getCommonAncestor( includeSelf?: boolean, ignoreTextNode?: boolean ): Element;
+
+			insertNode( node: Node ): void;
+
+			moveToBookmark( bookmark: Bookmark | Bookmark2 ): void;
+
+			moveToElementEditEnd( target: Element ): boolean;
+
+			moveToElementEditStart( target: Element ): boolean;
+
+			moveToPosition( node: Node, position: number ): void;
+
+			scrollIntoView(): void;
+
+			select(): Selection;
+
+			selectNodeContents( node: Node ): void;
+
+			setEnd( endNode: Node, endOffset: number ): void;
+
+			setEndAfter( node: Node ): void;
+
+			setStart( startNode: Node, startOffset: number ): void;
+
+			setStartBefore( node: Node ): void;
+
+			shrink( mode: number, selectContents?: boolean, options?: { shrinkOnBlockBoundary?: boolean; skipBogus?: boolean } ): boolean;
+		}
+
+		/**
+		 * The bookmark created with `Range#createBookmark()`. It inserts marker elements into the content.
+		 */
+		export interface Bookmark {
+			startNode: Node | string;
+			endNode: Node | string | null;
+			serializable: boolean;
+			collapsed: boolean;
+		}
+
+		/**
+		 * The bookmark created with `Range#createBookmark2()`. It keeps the node addresses
+		 * instead of modifying the content, so it can be serialized.
+		 */
+		export interface Bookmark2 {
+			start: number[];
+			startOffset: number;
+			end: number[] | null;
+			endOffset: number;
+			collapsed: boolean;
+			normalized: boolean;
+			is2: true;
+		}
+
+		/**
+		 * The editor selection.
+		 *
+		 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_dom_selection.html
+		 * to learn more.
+		 */
+		export interface Selection {
+			readonly document: Document;
+			readonly isFake: boolean;
+			readonly isLocked: boolean;
+			readonly root: Element;
+
+			createBookmarks( serializable?: boolean ): Bookmark[];
+
+			createBookmarks2( normalized?: boolean ): Bookmark2[];
+
+			fake( element: Element, ariaLabel?: string | boolean ): void;
+
+			getNative(): globalThis.Selection;
+
+			getRanges( onlyEditables?: boolean ): Range[];
+
+			getSelectedElement(): Element | null;
+
+			getSelectedText(): string;
+
+			getStartElement(): Element | null;
+
+			getType(): SelectionType;
+
+			isCollapsed(): boolean;
+
+			isInTable( allowPartialSelection?: boolean ): boolean;
+
+			lock(): void;
+
+			removeAllRanges(): void;
+
+			reset(): void;
+
+			scrollIntoView(): void;
+
+			selectBookmarks( bookmarks: Array<Bookmark | Bookmark2> ): this;
+
+			selectElement( element: Element ): void;
+
+			selectRanges( ranges: Range[] ): void;
+
+			unlock( restore?: boolean ): void;
+		}
+	}
+
+	/**
+	 * The CKEditor4 editor.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html
+	 * to learn more.
+	 */
+	export interface Editor extends Event {
+		readonly id: string;
+		readonly name: string;
+		readonly element: dom.Element;
+		readonly elementMode: ElementMode;
+		readonly config: Config;
+		readonly container: dom.Element;
+		readonly document: dom.Document;
+		readonly window: dom.Window;
+		readonly readOnly: boolean;
+		readonly mode: string;
+		readonly status: 'unloaded' | 'loaded' | 'ready' | 'destroyed';
+		readonly lang: { [ key: string ]: any };
+		readonly langCode: string;
+		readonly plugins: { [ name: string ]: any };
+		readonly commands: { [ name: string ]: Command };
+		readonly filter: Filter;
+		readonly activeFilter: Filter;
+		readonly focusManager: FocusManager;
+		readonly undoManager?: UndoManager;
+		readonly uploadRepository?: FileRepository;
+		readonly widgets?: WidgetRepository;
+		readonly keystrokeHandler: any;
+		readonly ui: any;
+		readonly title: string | boolean;
+		readonly tabIndex: number;
+
+		/**
+		 * The private editor state, e.g. the registered editing modes.
+		 */
+		readonly _: { modes?: { [ mode: string ]: any }; [ key: string ]: any };
+
+		addCommand( commandName: string, commandDefinition: CommandDefinition ): Command;
+
+		addContentsCss( cssPath: string ): void;
+
+		checkDirty(): boolean;
+
+		createRange(): dom.Range;
+
+		destroy( noUpdate?: boolean ): void;
+
+		editable( element?: dom.Element | HTMLElement ): Editable;
+
+		elementPath( startNode?: dom.Node ): dom.ElementPath;
+
+		execCommand( commandName: string, data?: any ): boolean;
+
+		focus(): void;
+
+		forceNextSelectionCheck(): void;
+
+		getCommand( commandName: string ): Command;
+
+		getData( internal?: boolean ): string;
+
+		getSelectedHtml( toString?: boolean ): dom.DocumentFragment | string;
+
+		getSelectedRanges( onlyEditables?: boolean ): dom.Range[];
+
+		getSelection( forceRealSelection?: boolean ): dom.Selection | null;
+
+		getSnapshot(): string;
+
+		insertElement( element: dom.Element ): void;
+
+		insertHtml( data: string, mode?: 'html' | 'unfiltered_html' | 'text', range?: dom.Range ): void;
+
+		insertText( text: string ): void;
+
+		loadSnapshot( snapshot: string ): void;
+
+		lockSelection( sel?: dom.Selection ): boolean;
+
+		openDialog( dialogName: string, callback?: ( dialog: Dialog ) => void ): any;
+
+		resetDirty(): void;
+
+		resetUndo(): void;
+
+		resize( width: number | string, height: number | string, isContentHeight?: boolean, resizeInner?: boolean ): void;
+
+		selectionChange( checkNow?: boolean ): void;
+
+		setData( data: string, options?: SetDataOptions ): void;
+
+		setKeystroke( keystroke: number | Array<[ number, string | boolean ]>, behavior?: string | boolean ): void;
+
+		setMode( newMode: string, callback?: () => void ): void;
+
+		setReadOnly( isReadOnly?: boolean ): void;
+
+		setUiColor( color: string ): void;
+
+		showNotification( message: string, type?: 'info' | 'warning' | 'success' | 'progress', progressOrDuration?: number ): any;
+
+		unlockSelection( restore?: boolean ): void;
+
+		updateElement(): boolean;
+	}
+
+	/**
+	 * The options of `Editor#setData()`.
+	 */
+	export interface SetDataOptions {
+		internal?: boolean;
+		noSnapshot?: boolean;
+		callback?: () => void;
+	}
+
+	/**
+	 * The editor command.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_command.html
+	 * to learn more.
+	 */
+	export interface Command extends Event {
+		readonly name: string;
+		readonly state: CommandState;
+		readonly previousState: CommandState;
+		readonly uiItems: any[];
+		canUndo: boolean;
+		contextSensitive: boolean;
+		editorFocus: boolean;
+		modes: { [ mode: string ]: boolean };
+		readOnly: boolean;
+
+		checkAllowed( noCache?: boolean ): boolean;
+
+		disable(): void;
+
+		enable(): void;
+
+		exec( data?: any ): boolean;
+
+		refresh( editor: Editor, path: dom.ElementPath ): void;
+
+		setState( newState: CommandState ): boolean;
+
+		toggleState(): void;
+	}
+
+	/**
+	 * The definition of the command added with `Editor#addCommand()`.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_commandDefinition.html
+	 * to learn more.
+	 */
+	export interface CommandDefinition {
+		allowedContent?: string | { [ rule: string ]: any };
+		async?: boolean;
+		canUndo?: boolean;
+		context?: string;
+		contextSensitive?: boolean;
+		editorFocus?: boolean;
+		modes?: { [ mode: string ]: boolean };
+		readOnly?: boolean;
+		requiredContent?: string;
+		startDisabled?: boolean;
+
+		exec( editor: Editor, data?: any ): boolean | void;
+
+		refresh?( editor: Editor, path: dom.ElementPath ): void;
+	}
+
+	/**
+	 * The editable element of the editor.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editable.html
+	 * to learn more.
+	 */
+	export interface Editable extends dom.Element {
+		readonly editor: Editor;
+		readonly hasFocus: boolean;
+
+		attachListener<TData = any>(
+			obj: Event, eventName: string, listener: Listener<TData>, scopeObj?: any, listenerData?: any, priority?: number
+		): ListenerRegistration;
+
+		detach(): void;
+
+		getData( isSnapshot?: boolean ): string;
+
+		insertElement( element: dom.Element, range?: dom.Range ): void;
+
+		insertHtml( data: string, mode?: string, range?: dom.Range ): void;
+
+		insertText( text: string ): void;
+
+		isInline(): boolean;
+
+		setData( data: string, isSnapshot?: boolean ): void;
+
+		setReadOnly( isReadOnly: boolean ): void;
+	}
+
+	/**
+	 * Manages the focus of the editor.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_focusManager.html
+	 * to learn more.
+	 */
+	export interface FocusManager {
+		readonly hasFocus: boolean;
+		readonly currentActive: dom.DomObject | null;
+
+		add( element: dom.Element, isCapture?: boolean ): void;
+
+		blur( noDelay?: boolean ): void;
+
+		focus( currentActive?: dom.Element ): void;
+
+		lock(): void;
+
+		remove( element: dom.Element ): void;
+
+		unlock(): void;
+	}
+
+	/**
+	 * Manages the undo history of the editor (available when the `undo` plugin is loaded).
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_plugins_undo_UndoManager.html
+	 * to learn more.
+	 */
+	export interface UndoManager {
+		snapshots: UndoImage[];
+		index: number;
+		currentImage: UndoImage | null;
+		readonly hasUndo: boolean;
+		readonly hasRedo: boolean;
+		readonly locked: { level: number } | null;
+		limit: number;
+
+		lock( dontUpdate?: boolean, forceUpdate?: boolean ): void;
+
+		redo(): void;
+
+		refreshState(): void;
+
+		reset(): void;
+
+		save( onContentOnly?: boolean, image?: UndoImage, autoFireChange?: boolean ): boolean;
+
+		undo(): void;
+
+		unlock(): void;
+
+		update( newImage?: UndoImage ): void;
+	}
+
+	/**
+	 * The snapshot of the editor content kept in the undo history.
+	 */
+	export interface UndoImage {
+		editor: Editor;
+		contents: string;
+		bookmarks: dom.Bookmark2[] | null;
+
+		equalsContent( otherImage: UndoImage ): boolean;
+
+		equalsSelection( otherImage: UndoImage ): boolean;
+	}
+
+	/**
+	 * The content filter used by the Advanced Content Filter.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_filter.html
+	 * to learn more.
+	 */
+	export interface Filter {
+		readonly allowedContent: any[];
+		readonly disabled: boolean;
+
+		allow( newRules: string | { [ rule: string ]: any }, featureName?: string, overrideCustom?: boolean ): boolean;
+
+		check( test: string | dom.Element, applyTransformations?: boolean, strictCheck?: boolean ): boolean;
+
+		disallow( newRules: string | { [ rule: string ]: any } ): void;
+	}
+
+	/**
+	 * The file loader used by the upload plugins.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_fileTools_fileLoader.html
+	 * to learn more.
+	 */
+	export interface FileLoader extends Event {
+		readonly editor: Editor;
+		readonly id: number;
+		readonly data: string;
+		readonly file: Blob;
+		readonly total: number;
+		readonly loaded: number;
+		readonly uploadUrl: string;
+		readonly reader: FileReader;
+		readonly lang: { [ key: string ]: any };
+		responseData: { [ key: string ]: any };
+		status: FileLoaderStatus;
+		message: string;
+		fileName: string;
+		url: string;
+		uploaded: number;
+		uploadTotal: number | null;
+		xhr: XMLHttpRequest;
+
+		abort(): void;
+
+		changeStatus( newStatus: FileLoaderStatus ): void;
+
+		isFinished(): boolean;
+
+		load(): void;
+
+		loadAndUpload( url: string, additionalRequestParameters?: { [ key: string ]: any } ): void;
+
+		update(): void;
+
+		upload( url: string, additionalRequestParameters?: { [ key: string ]: any } ): void;
+	}
+
+	/**
+	 * The file loaders of the editor, see `Editor#uploadRepository`.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_fileTools_uploadRepository.html
+	 * to learn more.
+	 */
+	export interface FileRepository extends Event {
+		readonly loaders: FileLoader[];
+
+		create( fileOrData: Blob | string, fileName?: string, loaderType?: Function ): FileLoader;
+
+		getLoader( id: number ): FileLoader;
+
+		isFinished(): boolean;
+	}
+
+	/**
+	 * The status of the file loader.
+	 */
+	export type FileLoaderStatus = 'created' | 'loading' | 'loaded' | 'uploading' | 'uploaded' | 'abort' | 'error';
+
+	/**
+	 * The data transfer facade used by the clipboard plugin.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_plugins_clipboard_dataTransfer.html
+	 * to learn more.
+	 */
+	export interface DataTransfer {
+		readonly $: globalThis.DataTransfer;
+		readonly id: string;
+		readonly sourceEditor: Editor | undefined;
+
+		getData( type: string, getNative?: boolean ): string;
+
+		getFile( i: number ): File;
+
+		getFilesCount(): number;
+
+		getTransferType( targetEditor?: Editor ): number;
+
+		isEmpty(): boolean;
+
+		setData( type: string, value: string ): void;
+
+		storeId(): void;
+	}
+
+	/**
+	 * The data of the `paste` event.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-paste
+	 * to learn more.
+	 */
+	export interface PasteEventData {
+		type: 'html' | 'text' | 'auto';
+		dataValue: string;
+		method: 'paste' | 'drop';
+		dataTransfer: DataTransfer;
+		dontFilter?: boolean;
+		preventEvents?: boolean;
+	}
+
+	/**
+	 * The data of the `dragstart`, `dragend` and `drop` events.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-drop
+	 * to learn more.
+	 */
+	export interface DragEventData {
+		$: DragEvent;
+		target: dom.Node;
+		dataTransfer: DataTransfer;
+
+		/**
+		 * Available for the `drop` event only.
+		 */
+		dragRange?: dom.Range;
+
+		/**
+		 * Available for the `drop` event only.
+		 */
+		dropRange?: dom.Range;
+	}
+
+	/**
+	 * The data of the `fileUploadRequest` event.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-fileUploadRequest
+	 * to learn more.
+	 */
+	export interface FileUploadRequestEventData {
+		fileLoader: FileLoader;
+		requestData: { [ key: string ]: any };
+	}
+
+	/**
+	 * The data of the `fileUploadResponse` event.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_editor.html#event-fileUploadResponse
+	 * to learn more.
+	 */
+	export interface FileUploadResponseEventData {
+		fileLoader: FileLoader;
+		message?: string;
+		fileName?: string;
+		url?: string;
+
+		[ key: string ]: any;
+	}
+
+	/**
+	 * The editor dialog. Available if the `dialog` plugin is loaded.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_dialog.html
+	 * to learn more.
+	 */
+	export interface Dialog extends Event {
+		readonly definition: { [ key: string ]: any };
+
+		click( id: string ): any;
+
+		foreach( fn: ( element: any ) => void ): this;
+
+		getButton( id: string ): any;
+
+		getContentElement( pageId: string, elementId: string ): any;
+
+		getElement(): dom.Element;
+
+		getName(): string;
+
+		getValueOf( pageId: string, elementId: string ): any;
+
+		hide(): void;
+
+		selectPage( id: string ): void;
+
+		setValueOf( pageId: string, elementId: string, value: any ): void;
+
+		show(): void;
+	}
+
+	/**
+	 * The repository of the editor widgets. Available if the `widget` plugin is loaded.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_plugins_widget_repository.html
+	 * to learn more.
+	 */
+	export interface WidgetRepository extends Event {
+		readonly instances: { [ id: number ]: Widget };
+		readonly registered: { [ name: string ]: WidgetDefinition };
+		readonly focused: Widget | null;
+		readonly selected: Widget[];
+
+		add( name: string, widgetDef: WidgetDefinition ): WidgetDefinition;
+
+		checkWidgets( options?: { initOnlyNew?: boolean; focusInited?: boolean } ): void;
+
+		destroy( widget: Widget, offline?: boolean ): void;
+
+		destroyAll( offline?: boolean, container?: dom.Element ): void;
+
+		getByElement( element: dom.Node, checkWrapperOnly?: boolean ): Widget | null;
+	}
+
+	/**
+	 * The definition of the widget.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_plugins_widget_definition.html
+	 * to learn more.
+	 */
+	export interface WidgetDefinition {
+		allowedContent?: string | { [ key: string ]: any };
+		requiredContent?: string;
+		button?: string;
+		template?: string;
+		defaults?: { [ key: string ]: any };
+		inline?: boolean;
+		draggable?: boolean;
+		mask?: boolean | string;
+		pathName?: string;
+		upcast?: string | ( ( element: htmlParser.Element, data: { [ key: string ]: any } ) => boolean | htmlParser.Element );
+		downcast?: string | ( ( this: Widget, element: htmlParser.Element ) => htmlParser.Element | void );
+
+		init?( this: Widget ): void;
+
+		data?( this: Widget, evt: EventInfo ): void;
+
+		[ key: string ]: any;
+	}
+
+	/**
+	 * The widget instance.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_plugins_widget.html
+	 * to learn more.
+	 */
+	export interface Widget extends Event {
+		readonly id: number;
+		readonly name: string;
+		readonly editor: Editor;
+		readonly element: dom.Element;
+		readonly wrapper: dom.Element;
+		readonly data: { [ key: string ]: any };
+		readonly inline: boolean;
+		readonly ready: boolean;
+
+		focus(): void;
+
+		isReady(): boolean;
+
+		setData( keyOrData: string | { [ key: string ]: any }, value?: any ): this;
+
+		[ key: string ]: any;
+	}
+
+	/**
+	 * The CKEDITOR namespace.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR.html
+	 * to learn more.
+	 */
+	export interface Namespace extends Event {
+		readonly version: string;
+		readonly revision: string;
+		readonly basePath: string;
+		readonly status: 'unloaded' | 'basic_loaded' | 'basic_ready' | 'loaded';
+		readonly instances: { [ name: string ]: Editor };
+		readonly env: { [ key: string ]: any };
+		readonly tools: { [ key: string ]: any };
+		readonly dom: { [ key: string ]: any };
+		readonly plugins: {
+			add( name: string, definition?: { [ key: string ]: any } ): void;
+			addExternal( names: string, path: string, fileName?: string ): void;
+			get( name: string ): any;
+			[ key: string ]: any;
+		};
+		config: Config;
+
+		appendTo( element: string | HTMLElement, config?: Config, data?: string ): Editor;
+
+		inline( element: string | HTMLElement, config?: Config ): Editor;
+
+		replace( element: string | HTMLElement, config?: Config ): Editor;
+
+		[ key: string ]: any;
+	}
+
+	/**
+	 * The lightweight representation of HTML used by the data processor.
+	 *
+	 * See https://ckeditor.com/docs/ckeditor4/latest/api/CKEDITOR_htmlParser.html
+	 * to learn more.
+	 */
+	export namespace htmlParser {
+		/**
+		 * The base of all HTML parser nodes.
+		 */
+		export interface Node {
+			readonly type: number;
+			parent: Element | null;
+
+			remove(): this;
+		}
+
+		/**
+		 * The HTML parser element.
+		 */
+		export interface Element extends Node {
+			name: string;
+			attributes: { [ name: string ]: string };
+			children: Node[];
+
+			addClass( className: string ): void;
+
+			getHtml(): string;
+
+			hasClass( className: string ): boolean;
+
+			removeClass( className: string ): void;
+
+			setHtml( html: string ): void;
+		}
+	}
 }
@@ -0,0 +1,195 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { HttpEventType } from '@angular/common/http';
+import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { CKEditorComponent } from './ckeditor.component';
+import { CKEditor4 } from './ckeditor';
+import {
+	CKEditorHttpUploadAdapter,
+	CKEditorUploadAdapter,
+	CKEditorUploadEvent,
+	CKEditorUploadRequest,
+	provideCKEditorUploadAdapter
+} from './ckeditor.upload';
+import { whenEvent } from '../test.tools';
+
+describe( 'CKEditorHttpUploadAdapter', () => {
+	let adapter: CKEditorUploadAdapter,
+		httpController: HttpTestingController,
+		request: CKEditorUploadRequest;
+
+	beforeEach( () => {
+		TestBed.configureTestingModule( {
+			imports: [ HttpClientTestingModule ],
+			providers: [ provideCKEditorUploadAdapter() ]
+		} );
+
+		adapter = TestBed.inject( CKEditorUploadAdapter );
+		httpController = TestBed.inject( HttpTestingController );
+		request = {
+			url: '/upload',
+			file: new Blob( [ 'foo' ], { type: 'text/plain' } ),
+			fileName: 'foo.txt',
+			requestData: { type: 'Files' },
+			editor: null
+		};
+	} );
+
+	afterEach( () => {
+		httpController.verify();
+	} );
+
+	it( 'should be provided by default', () => {
+		expect( adapter ).toEqual( jasmine.any( CKEditorHttpUploadAdapter ) );
+	} );
+
+	it( 'should post the file with the request data', () => {
+		adapter.upload( request ).subscribe();
+
+		const testRequest = httpController.expectOne( '/upload' );
+		const body: FormData = testRequest.request.body;
+
+		expect( testRequest.request.method ).toEqual( 'POST' );
+		expect( testRequest.request.reportProgress ).toBeTrue();
+		expect( ( body.get( 'upload' ) as File ).name ).toEqual( 'foo.txt' );
+		expect( body.get( 'type' ) ).toEqual( 'Files' );
+
+		testRequest.flush( { uploaded: 1, url: '/files/foo.txt' } );
+	} );
+
+	it( 'should emit the progress and the result', () => {
+		const events: CKEditorUploadEvent[] = [];
+
+		adapter.upload( request ).subscribe( event => events.push( event ) );
+
+		const testRequest = httpController.expectOne( '/upload' );
+
+		testRequest.event( { type: HttpEventType.UploadProgress, loaded: 1, total: 3 } );
+		testRequest.flush( { uploaded: 1, fileName: 'bar.txt', url: '/files/bar.txt' } );
+
+		expect( events ).toEqual( [
+			{ type: 'progress', loaded: 1, total: 3 },
+			{
+				type: 'uploaded',
+				url: '/files/bar.txt',
+				fileName: 'bar.txt',
+				message: undefined,
+				data: { uploaded: 1, fileName: 'bar.txt', url: '/files/bar.txt' }
+			}
+		] );
+	} );
+
+	it( 'should error with the message of the failed upload', () => {
+		const spy = jasmine.createSpy( 'error' );
+
+		adapter.upload( request ).subscribe( { error: spy } );
+		httpController.expectOne( '/upload' ).flush( { uploaded: 0, error: { message: 'File is too big.' } } );
+
+		expect( spy ).toHaveBeenCalledOnceWith( new Error( 'File is too big.' ) );
+	} );
+
+	it( 'should error with the message of the HTTP error', () => {
+		const spy = jasmine.createSpy( 'error' );
+
+		adapter.upload( request ).subscribe( { error: spy } );
+		httpController.expectOne( '/upload' ).flush( null, { status: 500, statusText: 'Server Error' } );
+
+		expect( spy ).toHaveBeenCalledOnceWith( new Error( 'HTTP error occurred during file upload (error status: 500).' ) );
+	} );
+
+	it( 'should error with the message of the network error', () => {
+		const spy = jasmine.createSpy( 'error' );
+
+		adapter.upload( request ).subscribe( { error: spy } );
+		httpController.expectOne( '/upload' ).error( new ProgressEvent( 'error' ) );
+
+		expect( spy ).toHaveBeenCalledOnceWith( new Error( 'Network error occurred during file upload.' ) );
+	} );
+
+	it( 'should cancel the request when unsubscribed', () => {
+		const subscription = adapter.upload( request ).subscribe();
+		const testRequest = httpController.expectOne( '/upload' );
+
+		subscription.unsubscribe();
+
+		expect( testRequest.cancelled ).toBeTrue();
+	} );
+} );
+
+describe( 'CKEditorComponent with upload adapter', () => {
+	let fixture: ComponentFixture<CKEditorComponent>,
+		component: CKEditorComponent,
+		httpController: HttpTestingController,
+		fileLoader: CKEditor4.FileLoader;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			imports: [ CKEditorComponent, HttpClientTestingModule ],
+			providers: [ provideCKEditorUploadAdapter() ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( async () => {
+		fixture = TestBed.createComponent( CKEditorComponent );
+		component = fixture.componentInstance;
+		component.config = { extraPlugins: 'filetools' };
+		httpController = TestBed.inject( HttpTestingController );
+
+		fixture.detectChanges();
+
+		await whenEvent( 'ready', component );
+
+		fileLoader = component.instance.uploadRepository.create( new Blob( [ 'foo' ], { type: 'text/plain' } ), 'foo.txt' );
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should upload the file with the adapter', () => {
+		const requestSpy = jasmine.createSpy( 'fileUploadRequest' );
+
+		component.fileUploadRequest.subscribe( requestSpy );
+		fileLoader.upload( '/upload' );
+
+		expect( fileLoader.status ).toEqual( 'uploading' );
+		expect( requestSpy ).toHaveBeenCalledTimes( 1 );
+
+		const testRequest = httpController.expectOne( '/upload' );
+
+		testRequest.event( { type: HttpEventType.UploadProgress, loaded: 1, total: 3 } );
+
+		expect( fileLoader.uploaded ).toEqual( 1 );
+		expect( fileLoader.uploadTotal ).toEqual( 3 );
+
+		testRequest.flush( { uploaded: 1, url: '/files/foo.txt' } );
+
+		expect( fileLoader.status ).toEqual( 'uploaded' );
+		expect( fileLoader.url ).toEqual( '/files/foo.txt' );
+		expect( fileLoader.responseData ).toEqual( { uploaded: 1, url: '/files/foo.txt' } );
+	} );
+
+	it( 'should set the error message when the upload fails', () => {
+		fileLoader.upload( '/upload' );
+		httpController.expectOne( '/upload' ).flush( { uploaded: 0, error: { message: 'File is too big.' } } );
+
+		expect( fileLoader.status ).toEqual( 'error' );
+		expect( fileLoader.message ).toEqual( 'File is too big.' );
+	} );
+
+	it( 'should cancel the request when the upload is aborted', () => {
+		fileLoader.upload( '/upload' );
+
+		const testRequest = httpController.expectOne( '/upload' );
+
+		fileLoader.abort();
+
+		expect( testRequest.cancelled ).toBeTrue();
+		expect( fileLoader.status ).toEqual( 'abort' );
+	} );
+} );
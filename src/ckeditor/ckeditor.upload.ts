@@ -0,0 +1,235 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { Injectable, NgZone, Provider, Type } from '@angular/core';
+import { HttpClient, HttpErrorResponse, HttpEvent, HttpEventType } from '@angular/common/http';
+import { Observable, throwError } from 'rxjs';
+import { catchError, filter, map } from 'rxjs/operators';
+
+import { CKEditor4 } from './ckeditor';
+
+/**
+ * The file upload requested by the editor.
+ */
+export interface CKEditorUploadRequest {
+	/**
+	 * The upload URL, e.g. `config.uploadUrl`.
+	 */
+	url: string;
+
+	/**
+	 * The uploaded file.
+	 */
+	file: Blob;
+
+	/**
+	 * The name of the uploaded file.
+	 */
+	fileName: string;
+
+	/**
+	 * Additional request parameters, e.g. set by the `fileUploadRequest` listeners.
+	 */
+	requestData: { [ key: string ]: any };
+
+	/**
+	 * The editor requesting the upload.
+	 */
+	editor: CKEditor4.Editor;
+}
+
+/**
+ * The upload progress emitted by `CKEditorUploadAdapter#upload()`.
+ */
+export interface CKEditorUploadProgress {
+	type: 'progress';
+	loaded: number;
+	total: number;
+}
+
+/**
+ * The upload result emitted by `CKEditorUploadAdapter#upload()` once the file is uploaded.
+ */
+export interface CKEditorUploadResult {
+	type: 'uploaded';
+
+	/**
+	 * The URL of the uploaded file.
+	 */
+	url: string;
+
+	/**
+	 * The name of the uploaded file, if changed by the server.
+	 */
+	fileName?: string;
+
+	/**
+	 * The message shown to the user, e.g. a warning.
+	 */
+	message?: string;
+
+	/**
+	 * Any other data of the response, available as `fileLoader.responseData`.
+	 */
+	data?: { [ key: string ]: any };
+}
+
+export type CKEditorUploadEvent = CKEditorUploadProgress | CKEditorUploadResult;
+
+/**
+ * Uploads the files pasted or dropped into the editor instead of the editor's own `XMLHttpRequest`.
+ * Provide it with `provideCKEditorUploadAdapter()`.
+ */
+export abstract class CKEditorUploadAdapter {
+	/**
+	 * Uploads the file. The returned observable emits the progress and the result, or errors with the message
+	 * shown to the user. The upload is cancelled by unsubscribing, e.g. when the user aborts it.
+	 */
+	abstract upload( request: CKEditorUploadRequest ): Observable<CKEditorUploadEvent>;
+}
+
+/**
+ * The upload adapter sending the files with Angular `HttpClient`, so they go through the application interceptors.
+ *
+ * The request is a `POST` with the form data containing the file (as `upload`) and the `requestData`.
+ * The response is expected in the format used by the editor:
+ *
+ *		{ "uploaded": 1, "fileName": "foo.jpg", "url": "/files/foo.jpg" }
+ *		{ "uploaded": 0, "error": { "message": "File is too big." } }
+ *
+ * Extend it to change the request or the response and error mapping.
+ */
+@Injectable()
+export class CKEditorHttpUploadAdapter extends CKEditorUploadAdapter {
+	constructor( protected http: HttpClient ) {
+		super();
+	}
+
+	upload( request: CKEditorUploadRequest ): Observable<CKEditorUploadEvent> {
+		return this.http.post( request.url, this.createFormData( request ), { observe: 'events', reportProgress: true } ).pipe(
+			filter( event => event.type === HttpEventType.UploadProgress || event.type === HttpEventType.Response ),
+			map( event => this.mapEvent( event ) ),
+			catchError( ( error: unknown ) => throwError( () => new Error( this.getErrorMessage( error ) ) ) )
+		);
+	}
+
+	protected createFormData( request: CKEditorUploadRequest ): FormData {
+		const formData = new FormData();
+		const requestData = { upload: { file: request.file, name: request.fileName }, ...request.requestData };
+
+		Object.keys( requestData ).forEach( name => {
+			const value = requestData[ name ];
+
+			if ( value && value.file ) {
+				formData.append( name, value.file, value.name );
+			} else {
+				formData.append( name, value );
+			}
+		} );
+
+		return formData;
+	}
+
+	/**
+	 * Maps the response body to the upload result. Throws if the upload failed.
+	 */
+	protected mapResponse( body: any ): CKEditorUploadResult {
+		const message = body && body.error && body.error.message;
+
+		if ( !body || !body.uploaded ) {
+			throw new Error( message || 'Incorrect response from the server.' );
+		}
+
+		return { type: 'uploaded', url: body.url, fileName: body.fileName, message, data: body };
+	}
+
+	/**
+	 * Returns the message shown to the user when the upload fails.
+	 */
+	protected getErrorMessage( error: unknown ): string {
+		if ( error instanceof HttpErrorResponse ) {
+			const message = error.error && error.error.error && error.error.error.message;
+
+			if ( message ) {
+				return message;
+			}
+
+			return error.status ?
+				`HTTP error occurred during file upload (error status: ${ error.status }).` :
+				'Network error occurred during file upload.';
+		}
+
+		return error instanceof Error ? error.message : String( error );
+	}
+
+	private mapEvent( event: HttpEvent<any> ): CKEditorUploadEvent {
+		if ( event.type === HttpEventType.UploadProgress ) {
+			return { type: 'progress', loaded: event.loaded, total: event.total || 0 };
+		}
+
+		return this.mapResponse( event.type === HttpEventType.Response ? event.body : null );
+	}
+}
+
+/**
+ * Returns the providers of the upload adapter handling the editor file uploads, e.g.:
+ *
+ *		providers: [ provideHttpClient( withInterceptors( [ authInterceptor ] ) ), provideCKEditorUploadAdapter() ]
+ *
+ * Uses `CKEditorHttpUploadAdapter` by default.
+ */
+export function provideCKEditorUploadAdapter( adapter: Type<CKEditorUploadAdapter> = CKEditorHttpUploadAdapter ): Provider[] {
+	return [ adapter, { provide: CKEditorUploadAdapter, useExisting: adapter } ];
+}
+
+/**
+ * Makes the editor upload the files with the given adapter. The editor `fileUploadRequest` listeners are still
+ * executed (except the one sending the request), but the `fileUploadResponse` event isn't fired.
+ */
+export function useUploadAdapter( editor: CKEditor4.Editor, adapter: CKEditorUploadAdapter, ngZone: NgZone ): void {
+	editor.on( 'fileUploadRequest', ( evt: CKEditor4.EventInfo<CKEditor4.FileUploadRequestEventData> ) => {
+		const fileLoader = evt.data.fileLoader;
+
+		// Prevent the editor from sending the request.
+		evt.stop();
+
+		const subscription = ngZone.run( () => adapter.upload( {
+			url: fileLoader.uploadUrl,
+			file: fileLoader.file,
+			fileName: fileLoader.fileName,
+			requestData: evt.data.requestData,
+			editor
+		} ).subscribe( {
+			next: event => {
+				if ( event.type === 'progress' ) {
+					fileLoader.uploadTotal = fileLoader.uploadTotal || event.total;
+					fileLoader.uploaded = event.loaded;
+					fileLoader.update();
+
+					return;
+				}
+
+				fileLoader.uploaded = fileLoader.uploadTotal;
+				fileLoader.url = event.url;
+				fileLoader.fileName = event.fileName || fileLoader.fileName;
+				fileLoader.message = event.message;
+				fileLoader.responseData = event.data || {};
+				fileLoader.changeStatus( 'uploaded' );
+			},
+			error: ( error: unknown ) => {
+				fileLoader.message = error instanceof Error ? error.message : String( error );
+				fileLoader.changeStatus( 'error' );
+			}
+		} ) );
+
+		fileLoader.abort = () => {
+			subscription.unsubscribe();
+
+			if ( fileLoader.status !== 'abort' ) {
+				fileLoader.changeStatus( 'abort' );
+			}
+		};
+	}, null, null, 998 );
+}
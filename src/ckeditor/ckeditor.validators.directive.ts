@@ -0,0 +1,146 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import {
+	Directive,
+	Inject,
+	Input,
+	forwardRef,
+	OnChanges,
+	Optional,
+	Self
+} from '@angular/core';
+
+import {
+	AbstractControl,
+	ControlValueAccessor,
+	NG_VALIDATORS,
+	NG_VALUE_ACCESSOR,
+	ValidationErrors,
+	Validator,
+	ValidatorFn,
+	Validators
+} from '@angular/forms';
+
+import { CKEditorBase } from './ckeditor.base';
+import { CKEditorValidators } from './ckeditor.validators';
+
+/**
+ * Registers rich-text aware validators (see `CKEditorValidators`) for the `<ckeditor>` (or `[ckeditor]`) form control
+ * based on its attributes, e.g.:
+ *
+ *		<ckeditor [(ngModel)]="description" name="description" required [maxWords]="200"></ckeditor>
+ *
+ * The value is converted to the HTML according to the `dataFormat` of the editor before it's validated.
+ */
+@Directive( {
+	selector: 'ckeditor[required],ckeditor[minTextLength],ckeditor[maxTextLength],ckeditor[maxWords],ckeditor[allowedTags],' +
+		'[ckeditor][required],[ckeditor][minTextLength],[ckeditor][maxTextLength],[ckeditor][maxWords],[ckeditor][allowedTags]',
+	standalone: true,
+
+	providers: [
+		{
+			provide: NG_VALIDATORS,
+			useExisting: forwardRef( () => CKEditorValidatorsDirective ),
+			multi: true
+		}
+	]
+} )
+export class CKEditorValidatorsDirective implements Validator, OnChanges {
+	/**
+	 * When set, the editor content must contain any visible text or a content element.
+	 * Unlike the Angular `required` validator, content like `<p>&nbsp;</p>` is considered empty.
+	 */
+	@Input() required?: boolean | string;
+
+	/**
+	 * The minimum length of the editor plain text.
+	 */
+	@Input() minTextLength?: number | string;
+
+	/**
+	 * The maximum length of the editor plain text.
+	 */
+	@Input() maxTextLength?: number | string;
+
+	/**
+	 * The maximum number of words in the editor content.
+	 */
+	@Input() maxWords?: number | string;
+
+	/**
+	 * The list of HTML elements allowed in the editor content. Can be passed as an array
+	 * or a string with element names separated by spaces or commas, e.g. `allowedTags="p strong em a"`.
+	 */
+	@Input() allowedTags?: string[] | string;
+
+	private _validator: ValidatorFn | null = null;
+
+	private _onChange?: () => void;
+
+	private _editor: CKEditorBase | null;
+
+	constructor( @Optional() @Self() @Inject( NG_VALUE_ACCESSOR ) valueAccessors: ControlValueAccessor[] | null ) {
+		const editors = ( valueAccessors || [] ).filter( accessor => accessor instanceof CKEditorBase );
+
+		this._editor = editors.length ? editors[ 0 ] as CKEditorBase : null;
+	}
+
+	ngOnChanges(): void {
+		this._validator = this.createValidator();
+
+		if ( this._onChange ) {
+			this._onChange();
+		}
+	}
+
+	validate( control: AbstractControl ): ValidationErrors | null {
+		if ( !this._validator ) {
+			this._validator = this.createValidator();
+		}
+
+		if ( this._editor ) {
+			return CKEditorValidators.forDataFormat( this._editor.dataFormat, this._validator )( control );
+		}
+
+		return this._validator( control );
+	}
+
+	registerOnValidatorChange( callback: () => void ): void {
+		this._onChange = callback;
+	}
+
+	private createValidator(): ValidatorFn {
+		const validators: ValidatorFn[] = [];
+
+		if ( this.required != null && this.required !== false && `${ this.required }` !== 'false' ) {
+			validators.push( CKEditorValidators.required );
+		}
+
+		if ( isNumber( this.minTextLength ) ) {
+			validators.push( CKEditorValidators.minTextLength( Number( this.minTextLength ) ) );
+		}
+
+		if ( isNumber( this.maxTextLength ) ) {
+			validators.push( CKEditorValidators.maxTextLength( Number( this.maxTextLength ) ) );
+		}
+
+		if ( isNumber( this.maxWords ) ) {
+			validators.push( CKEditorValidators.maxWords( Number( this.maxWords ) ) );
+		}
+
+		if ( this.allowedTags != null ) {
+			const tags = typeof this.allowedTags === 'string' ? this.allowedTags.split( /[\s,]+/ ) : this.allowedTags;
+
+			validators.push( CKEditorValidators.allowedTags( tags.filter( tag => !!tag ) ) );
+		}
+
+		return Validators.compose( validators ) || Validators.nullValidator;
+	}
+}
+
+function isNumber( value: number | string | undefined ): boolean {
+	return value != null && value !== '' && !isNaN( Number( value ) );
+}
@@ -0,0 +1,233 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { Component } from '@angular/core';
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { FormControl, FormsModule, NgModel } from '@angular/forms';
+import { By } from '@angular/platform-browser';
+
+import { CKEditorValidators, getPlainText, isEmptyContent } from './ckeditor.validators';
+import { CKEditorModule } from './ckeditor.module';
+
+describe( 'CKEditorValidators', () => {
+	describe( 'getPlainText()', () => {
+		it( 'should strip markup and collapse whitespaces', () => {
+			expect( getPlainText( '<p>Foo&nbsp; <strong>bar</strong></p>\n<p>baz</p>' ) ).toEqual( 'Foo bar baz' );
+		} );
+
+		it( 'should separate the text of the blocks and the line breaks', () => {
+			expect( getPlainText( '<p>one</p><p>two</p>' ) ).toEqual( 'one two' );
+			expect( getPlainText( '<p>foo<br>bar</p><ul><li>baz</li><li>qux</li></ul>' ) ).toEqual( 'foo bar baz qux' );
+			expect( getPlainText( '<p>f<strong>o</strong>o</p>' ) ).toEqual( 'foo' );
+		} );
+
+		it( 'should return empty string for empty values', () => {
+			expect( getPlainText( null ) ).toEqual( '' );
+			expect( getPlainText( '' ) ).toEqual( '' );
+		} );
+	} );
+
+	describe( 'isEmptyContent()', () => {
+		it( 'should treat empty markup as empty content', () => {
+			expect( isEmptyContent( '<p>&nbsp;</p>' ) ).toBeTrue();
+			expect( isEmptyContent( '<p><br></p>\n' ) ).toBeTrue();
+		} );
+
+		it( 'should treat content elements as non-empty content', () => {
+			expect( isEmptyContent( '<p><img src="foo.png"></p>' ) ).toBeFalse();
+		} );
+	} );
+
+	describe( 'required', () => {
+		it( 'should fail for empty markup', () => {
+			expect( CKEditorValidators.required( new FormControl( '<p>&nbsp;</p>' ) ) ).toEqual( { required: true } );
+			expect( CKEditorValidators.required( new FormControl( null ) ) ).toEqual( { required: true } );
+		} );
+
+		it( 'should pass for visible text', () => {
+			expect( CKEditorValidators.required( new FormControl( '<p>foo</p>' ) ) ).toBeNull();
+		} );
+	} );
+
+	describe( 'minTextLength', () => {
+		it( 'should measure plain text length', () => {
+			const validator = CKEditorValidators.minTextLength( 5 );
+
+			expect( validator( new FormControl( '<p><strong>foo</strong></p>' ) ) ).toEqual( {
+				minTextLength: { requiredLength: 5, actualLength: 3 }
+			} );
+			expect( validator( new FormControl( '<p>foo bar</p>' ) ) ).toBeNull();
+		} );
+
+		it( 'should ignore empty value', () => {
+			expect( CKEditorValidators.minTextLength( 5 )( new FormControl( '' ) ) ).toBeNull();
+		} );
+	} );
+
+	describe( 'maxTextLength', () => {
+		it( 'should measure plain text length', () => {
+			const validator = CKEditorValidators.maxTextLength( 5 );
+
+			expect( validator( new FormControl( '<p>foo bar</p>' ) ) ).toEqual( {
+				maxTextLength: { requiredLength: 5, actualLength: 7 }
+			} );
+			expect( validator( new FormControl( '<p><em>foo</em></p>' ) ) ).toBeNull();
+		} );
+	} );
+
+	describe( 'maxWords', () => {
+		it( 'should count words of plain text', () => {
+			const validator = CKEditorValidators.maxWords( 2 );
+
+			expect( validator( new FormControl( '<p>foo <b>bar</b></p><p>baz</p>' ) ) ).toEqual( {
+				maxWords: { requiredWords: 2, actualWords: 3 }
+			} );
+			expect( validator( new FormControl( '<p>foo&nbsp;bar</p>' ) ) ).toBeNull();
+		} );
+
+		it( 'should count the words of separate blocks', () => {
+			expect( CKEditorValidators.maxWords( 1 )( new FormControl( '<p>one</p><p>two</p>' ) ) ).toEqual( {
+				maxWords: { requiredWords: 1, actualWords: 2 }
+			} );
+		} );
+	} );
+
+	describe( 'allowedTags', () => {
+		it( 'should report disallowed elements', () => {
+			const validator = CKEditorValidators.allowedTags( [ 'P', 'strong' ] );
+
+			expect( validator( new FormControl( '<p><strong>foo</strong> <em>bar</em></p>' ) ) ).toEqual( {
+				allowedTags: { allowedTags: [ 'p', 'strong' ], disallowedTags: [ 'em' ] }
+			} );
+			expect( validator( new FormControl( '<p><strong>foo</strong></p>' ) ) ).toBeNull();
+		} );
+	} );
+
+	describe( 'forDataFormat()', () => {
+		it( 'should validate the HTML converted from the data format', () => {
+			const validator = CKEditorValidators.forDataFormat( 'markdown', CKEditorValidators.allowedTags( [ 'p', 'strong' ] ) );
+
+			expect( validator( new FormControl( '# foo' ) ) ).toEqual( {
+				allowedTags: { allowedTags: [ 'p', 'strong' ], disallowedTags: [ 'h1' ] }
+			} );
+			expect( validator( new FormControl( '**foo**' ) ) ).toBeNull();
+		} );
+
+		it( 'should count the lines of the plain text as separate words', () => {
+			const validator = CKEditorValidators.forDataFormat( 'text', CKEditorValidators.maxWords( 1 ) );
+
+			expect( validator( new FormControl( 'one\ntwo' ) ) ).toEqual( {
+				maxWords: { requiredWords: 1, actualWords: 2 }
+			} );
+		} );
+
+		it( 'should pass empty values to the validator', () => {
+			const validator = CKEditorValidators.forDataFormat( 'markdown', CKEditorValidators.required );
+
+			expect( validator( new FormControl( '' ) ) ).toEqual( { required: true } );
+		} );
+
+		it( 'should return the validator for the HTML', () => {
+			expect( CKEditorValidators.forDataFormat( 'html', CKEditorValidators.required ) ).toBe( CKEditorValidators.required );
+		} );
+	} );
+} );
+
+describe( 'CKEditorValidatorsDirective', () => {
+	@Component( {
+		selector: 'validated-editor',
+		template: `<ckeditor [(ngModel)]="data" required [maxWords]="maxWords" allowedTags="p strong"></ckeditor>`
+	} )
+	class ValidatedEditorComponent {
+		data = '<p>&nbsp;</p>';
+
+		maxWords = 3;
+	}
+
+	let fixture: ComponentFixture<ValidatedEditorComponent>;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			declarations: [ ValidatedEditorComponent ],
+			imports: [ FormsModule, CKEditorModule ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( () => {
+		fixture = TestBed.createComponent( ValidatedEditorComponent );
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should report rich-text errors on the form control', async () => {
+		fixture.detectChanges();
+		await fixture.whenStable();
+
+		const model = fixture.debugElement.query( By.directive( NgModel ) ).injector.get( NgModel );
+
+		expect( model.hasError( 'required' ) ).toBeTrue();
+
+		fixture.componentInstance.data = '<p>foo bar <em>baz</em> qux</p>';
+		fixture.detectChanges();
+		await fixture.whenStable();
+
+		expect( model.hasError( 'required' ) ).toBeFalse();
+		expect( model.hasError( 'maxWords' ) ).toBeTrue();
+		expect( model.getError( 'allowedTags' ).disallowedTags ).toEqual( [ 'em' ] );
+	} );
+
+	it( 'should revalidate when inputs change', async () => {
+		fixture.componentInstance.data = '<p>foo bar baz qux</p>';
+		fixture.detectChanges();
+		await fixture.whenStable();
+
+		const model = fixture.debugElement.query( By.directive( NgModel ) ).injector.get( NgModel );
+
+		expect( model.hasError( 'maxWords' ) ).toBeTrue();
+
+		fixture.componentInstance.maxWords = 10;
+		fixture.detectChanges();
+
+		expect( model.hasError( 'maxWords' ) ).toBeFalse();
+	} );
+} );
+
+describe( 'CKEditorValidatorsDirective with dataFormat', () => {
+	@Component( {
+		selector: 'markdown-editor',
+		template: `<ckeditor [(ngModel)]="data" dataFormat="markdown" allowedTags="p strong"></ckeditor>`
+	} )
+	class MarkdownEditorComponent {
+		data = '# foo';
+	}
+
+	let fixture: ComponentFixture<MarkdownEditorComponent>;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			declarations: [ MarkdownEditorComponent ],
+			imports: [ FormsModule, CKEditorModule ]
+		} ).compileComponents();
+	} );
+
+	beforeEach( () => {
+		fixture = TestBed.createComponent( MarkdownEditorComponent );
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	it( 'should validate the HTML converted from the editor data format', async () => {
+		fixture.detectChanges();
+		await fixture.whenStable();
+
+		const model = fixture.debugElement.query( By.directive( NgModel ) ).injector.get( NgModel );
+
+		expect( model.getError( 'allowedTags' ).disallowedTags ).toEqual( [ 'h1' ] );
+	} );
+} );
@@ -0,0 +1,234 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { AbstractControl, FormControl, ValidationErrors, ValidatorFn } from '@angular/forms';
+
+import { CKEditorDataFormat, getDataConverter } from './ckeditor.format';
+
+/**
+ * Elements which make the content non-empty even if they don't contain any text.
+ */
+const CONTENT_ELEMENTS = [ 'img', 'iframe', 'embed', 'object', 'video', 'audio', 'hr' ];
+
+/**
+ * Elements which separate their text from the surrounding text, like the line break.
+ */
+const TEXT_BLOCK_ELEMENTS = [
+	'address', 'article', 'aside', 'blockquote', 'br', 'caption', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'footer',
+	'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'td', 'th',
+	'tr', 'ul'
+];
+
+/**
+ * Rich-text aware validators which can be used with the `CKEditorComponent` form controls.
+ *
+ * In contrast to the Angular `Validators`, they check the text visible to the user
+ * instead of the raw HTML string, so e.g. `<p>&nbsp;</p>` is considered empty.
+ *
+ * The validators expect the HTML value. Wrap them with `CKEditorValidators.forDataFormat()` if the component
+ * uses another `dataFormat`, the `CKEditorValidatorsDirective` does it on its own.
+ */
+export class CKEditorValidators {
+	/**
+	 * Validator that requires the editor content to contain any visible text or a content element (e.g. an image).
+	 *
+	 * Returns `{ required: true }` error if the validation check fails.
+	 */
+	static required( control: AbstractControl ): ValidationErrors | null {
+		return isEmptyContent( control.value ) ? { required: true } : null;
+	}
+
+	/**
+	 * Validator that requires the plain text length of the editor content to be greater than or equal
+	 * to the provided minimum length. Empty content is ignored, use `required` validator to reject it.
+	 *
+	 * Returns `{ minTextLength: { requiredLength, actualLength } }` error if the validation check fails.
+	 */
+	static minTextLength( minLength: number ): ValidatorFn {
+		return ( control: AbstractControl ): ValidationErrors | null => {
+			if ( isEmptyValue( control.value ) ) {
+				return null;
+			}
+
+			const actualLength = getPlainText( control.value ).length;
+
+			return actualLength < minLength ? { minTextLength: { requiredLength: minLength, actualLength } } : null;
+		};
+	}
+
+	/**
+	 * Validator that requires the plain text length of the editor content to be less than or equal
+	 * to the provided maximum length.
+	 *
+	 * Returns `{ maxTextLength: { requiredLength, actualLength } }` error if the validation check fails.
+	 */
+	static maxTextLength( maxLength: number ): ValidatorFn {
+		return ( control: AbstractControl ): ValidationErrors | null => {
+			if ( isEmptyValue( control.value ) ) {
+				return null;
+			}
+
+			const actualLength = getPlainText( control.value ).length;
+
+			return actualLength > maxLength ? { maxTextLength: { requiredLength: maxLength, actualLength } } : null;
+		};
+	}
+
+	/**
+	 * Validator that requires the number of words in the editor content to be less than or equal
+	 * to the provided maximum.
+	 *
+	 * Returns `{ maxWords: { requiredWords, actualWords } }` error if the validation check fails.
+	 */
+	static maxWords( maxWords: number ): ValidatorFn {
+		return ( control: AbstractControl ): ValidationErrors | null => {
+			if ( isEmptyValue( control.value ) ) {
+				return null;
+			}
+
+			const actualWords = countWords( control.value );
+
+			return actualWords > maxWords ? { maxWords: { requiredWords: maxWords, actualWords } } : null;
+		};
+	}
+
+	/**
+	 * Validator that requires the editor content to use only the provided HTML elements.
+	 *
+	 * Returns `{ allowedTags: { allowedTags, disallowedTags } }` error if the validation check fails.
+	 */
+	static allowedTags( allowedTags: string[] ): ValidatorFn {
+		const allowed = allowedTags.map( tag => tag.toLowerCase() );
+
+		return ( control: AbstractControl ): ValidationErrors | null => {
+			if ( isEmptyValue( control.value ) ) {
+				return null;
+			}
+
+			const disallowedTags = getTagNames( control.value ).filter( tag => allowed.indexOf( tag ) === -1 );
+
+			return disallowedTags.length ? { allowedTags: { allowedTags: allowed, disallowedTags } } : null;
+		};
+	}
+
+	/**
+	 * Returns the validator which validates the value converted from the given data format (see `CKEditorComponent#dataFormat`)
+	 * to the HTML, e.g.:
+	 *
+	 *		CKEditorValidators.forDataFormat( 'markdown', CKEditorValidators.maxWords( 200 ) )
+	 */
+	static forDataFormat( dataFormat: CKEditorDataFormat, validator: ValidatorFn ): ValidatorFn {
+		const converter = getDataConverter( dataFormat );
+
+		if ( !converter ) {
+			return validator;
+		}
+
+		return ( control: AbstractControl ): ValidationErrors | null => {
+			const value = isEmptyValue( control.value ) ? control.value : converter.toHtml( control.value );
+
+			return validator( new FormControl( value ) );
+		};
+	}
+}
+
+/**
+ * Returns the text of the provided HTML string as visible to the user, with the whitespaces collapsed.
+ */
+export function getPlainText( html: string ): string {
+	if ( isEmptyValue( html ) ) {
+		return '';
+	}
+
+	const body = parseHtml( html );
+	const text = body ? getNodeText( body ) : decodeEntities( html.replace( /<[^>]*>/g, ' ' ) );
+
+	return text.replace( /\s+/g, ' ' ).trim();
+}
+
+/**
+ * Returns `true` if the provided HTML string contains neither visible text nor any content element.
+ */
+export function isEmptyContent( html: string ): boolean {
+	if ( getPlainText( html ).length ) {
+		return false;
+	}
+
+	return !getTagNames( html ).some( tag => CONTENT_ELEMENTS.indexOf( tag ) !== -1 );
+}
+
+function countWords( html: string ): number {
+	const text = getPlainText( html );
+
+	return text.length ? text.split( ' ' ).length : 0;
+}
+
+// Unlike `textContent`, separates the text of the blocks and the line breaks, so e.g. `<p>foo</p><p>bar</p>` has two words.
+function getNodeText( node: Node ): string {
+	let text = '';
+
+	for ( let child = node.firstChild; child; child = child.nextSibling ) {
+		if ( child.nodeType === Node.TEXT_NODE ) {
+			text += child.nodeValue;
+		} else if ( child.nodeType === Node.ELEMENT_NODE ) {
+			const isBlock = TEXT_BLOCK_ELEMENTS.indexOf( ( child as Element ).tagName.toLowerCase() ) !== -1;
+			const childText = getNodeText( child );
+
+			text += isBlock ? ` ${ childText } ` : childText;
+		}
+	}
+
+	return text;
+}
+
+function getTagNames( html: string ): string[] {
+	const body = parseHtml( html );
+	const tags: string[] = [];
+
+	if ( body ) {
+		const elements = body.getElementsByTagName( '*' );
+
+		for ( let i = 0; i < elements.length; i++ ) {
+			tags.push( elements[ i ].tagName.toLowerCase() );
+		}
+	} else {
+		const tagRegExp = /<([a-z][a-z0-9-]*)/gi;
+		let match: RegExpExecArray | null;
+
+		while ( ( match = tagRegExp.exec( html ) ) ) {
+			tags.push( match[ 1 ].toLowerCase() );
+		}
+	}
+
+	return tags.filter( ( tag, index ) => tags.indexOf( tag ) === index );
+}
+
+// Uses DOMParser as it creates an inert document, so scripts and event handlers from the parsed content are never run.
+// Returns `null` if DOMParser is not available, e.g. during server-side rendering.
+function parseHtml( html: string ): HTMLElement | null {
+	if ( typeof DOMParser === 'undefined' ) {
+		return null;
+	}
+
+	return new DOMParser().parseFromString( html, 'text/html' ).body;
+}
+
+function decodeEntities( text: string ): string {
+	const entities = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+	return text.replace( /&(#x?[0-9a-f]+|[a-z]+);/gi, ( entity, code: string ) => {
+		if ( code.charAt( 0 ) === '#' ) {
+			const isHex = code.charAt( 1 ).toLowerCase() === 'x';
+
+			return String.fromCharCode( parseInt( code.slice( isHex ? 2 : 1 ), isHex ? 16 : 10 ) );
+		}
+
+		return entities[ code.toLowerCase() ] !== undefined ? entities[ code.toLowerCase() ] : entity;
+	} );
+}
+
+function isEmptyValue( value: any ): boolean {
+	return value === null || value === undefined || value === '';
+}
@@ -0,0 +1,148 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import { Component, Inject, Input, OnDestroy } from '@angular/core';
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { CKEditorComponent } from './ckeditor.component';
+import { CKEditor4 } from './ckeditor';
+import { CKEDITOR_WIDGET, provideCKEditorWidget } from './ckeditor.widget';
+import { whenDataReady, whenEvent } from '../test.tools';
+
+describe( 'CKEditorComponent with widgets', () => {
+	@Component( {
+		selector: 'test-widget',
+		template: '<strong>{{ label }}</strong>'
+	} )
+	class TestWidgetComponent implements OnDestroy {
+		static instances: TestWidgetComponent[] = [];
+
+		@Input() label = '';
+
+		destroyed = false;
+
+		constructor( @Inject( CKEDITOR_WIDGET ) public widget: CKEditor4.Widget ) {
+			TestWidgetComponent.instances.push( this );
+		}
+
+		ngOnDestroy(): void {
+			this.destroyed = true;
+		}
+	}
+
+	const widgetData = '<div class="testWidget" data-widget-data="{&quot;label&quot;:&quot;foo&quot;}">&nbsp;</div>';
+
+	let fixture: ComponentFixture<CKEditorComponent>,
+		component: CKEditorComponent;
+
+	beforeEach( () => {
+		return TestBed.configureTestingModule( {
+			declarations: [ TestWidgetComponent ],
+			imports: [ CKEditorComponent ],
+			providers: [
+				provideCKEditorWidget( {
+					name: 'testWidget',
+					component: TestWidgetComponent,
+					defaults: { label: 'bar' }
+				} )
+			]
+		} ).compileComponents();
+	} );
+
+	beforeEach( async () => {
+		TestWidgetComponent.instances = [];
+
+		fixture = TestBed.createComponent( CKEditorComponent );
+		component = fixture.componentInstance;
+		component.type = CKEditor4.EditorType.INLINE;
+		component.tagName = 'div';
+		component.data = widgetData;
+
+		fixture.detectChanges();
+
+		await whenEvent( 'ready', component );
+
+		fixture.detectChanges();
+	} );
+
+	afterEach( () => {
+		fixture.destroy();
+	} );
+
+	function getRenderedLabels(): string[] {
+		return Array.from( fixture.nativeElement.querySelectorAll( '.testWidget strong' ) )
+			.map( ( element: HTMLElement ) => element.textContent );
+	}
+
+	it( 'should add the widget plugin and register the widget', () => {
+		expect( component.instance.plugins.widget ).toBeDefined();
+		expect( component.instance.widgets.registered.testWidget ).toBeDefined();
+	} );
+
+	it( 'should render the component with inputs taken from the widget data', () => {
+		expect( TestWidgetComponent.instances.length ).toEqual( 1 );
+		expect( TestWidgetComponent.instances[ 0 ].label ).toEqual( 'foo' );
+		expect( getRenderedLabels() ).toEqual( [ 'foo' ] );
+	} );
+
+	it( 'should provide the widget to the component', () => {
+		const widget = TestWidgetComponent.instances[ 0 ].widget;
+
+		expect( widget.name ).toEqual( 'testWidget' );
+		expect( widget.data.label ).toEqual( 'foo' );
+	} );
+
+	it( 'should update the component inputs when the widget data changes', () => {
+		TestWidgetComponent.instances[ 0 ].widget.setData( 'label', 'baz' );
+		fixture.detectChanges();
+
+		expect( TestWidgetComponent.instances[ 0 ].label ).toEqual( 'baz' );
+		expect( getRenderedLabels() ).toEqual( [ 'baz' ] );
+	} );
+
+	it( 'should keep the widget data and skip the rendered component in the editor data', () => {
+		TestWidgetComponent.instances[ 0 ].widget.setData( 'label', 'baz' );
+
+		const data = component.instance.getData();
+
+		expect( data ).toContain( 'class="testWidget"' );
+		expect( data ).toContain( 'data-widget-data="{&quot;label&quot;:&quot;baz&quot;}"' );
+		expect( data ).not.toContain( '<strong>' );
+	} );
+
+	it( 'should render the widgets again when the data is set', async () => {
+		const previousInstance = TestWidgetComponent.instances[ 0 ];
+
+		await whenDataReady( component.instance, () => component.instance.setData( widgetData + widgetData ) );
+		fixture.detectChanges();
+
+		expect( previousInstance.destroyed ).toBeTrue();
+		expect( getRenderedLabels() ).toEqual( [ 'foo', 'foo' ] );
+	} );
+
+	it( 'should insert the widget with default data using the widget command', () => {
+		component.instance.focus();
+		component.instance.execCommand( 'testWidget' );
+		fixture.detectChanges();
+
+		expect( getRenderedLabels() ).toContain( 'bar' );
+	} );
+
+	it( 'should destroy the component when the widget is removed', async () => {
+		const widgetComponent = TestWidgetComponent.instances[ 0 ];
+
+		await whenDataReady( component.instance, () => component.instance.setData( '<p>foo</p>' ) );
+
+		expect( widgetComponent.destroyed ).toBeTrue();
+	} );
+
+	it( 'should destroy the component when the editor is destroyed', () => {
+		const widgetComponent = TestWidgetComponent.instances[ 0 ];
+
+		fixture.destroy();
+
+		expect( widgetComponent.destroyed ).toBeTrue();
+	} );
+} );
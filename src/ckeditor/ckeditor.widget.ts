@@ -0,0 +1,212 @@
+/**
+ * @license Copyright (c) 2003-2023, CKSource Holding sp. z o.o. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+import {
+	ApplicationRef,
+	ComponentRef,
+	createComponent,
+	EnvironmentInjector,
+	InjectionToken,
+	Injector,
+	NgZone,
+	Provider,
+	reflectComponentType,
+	Type
+} from '@angular/core';
+
+import { CKEditor4 } from './ckeditor';
+
+/**
+ * Definition of the CKEditor 4 widget rendered by an Angular component.
+ */
+export interface CKEditorWidgetDefinition<T = any> {
+	/**
+	 * The name of the widget. It's also the name of the command inserting the widget.
+	 */
+	name: string;
+
+	/**
+	 * The component rendered in the widget element. Its inputs are set from the widget data.
+	 * The widget itself can be injected into the component with the `CKEDITOR_WIDGET` token.
+	 */
+	component: Type<T>;
+
+	/**
+	 * Tag name of the widget element. Defaults to `span` for inline widgets and `div` otherwise.
+	 */
+	tagName?: string;
+
+	/**
+	 * Class of the widget element, used to recognize the widget in the editor data. Defaults to the widget name.
+	 */
+	className?: string;
+
+	/**
+	 * Whether the widget is inline. Defaults to `false`.
+	 */
+	inline?: boolean;
+
+	/**
+	 * Data of the widget inserted with the widget command.
+	 */
+	defaults?: { [ input: string ]: any };
+
+	/**
+	 * Label of the toolbar button inserting the widget. The button isn't created if it's not set.
+	 */
+	button?: string;
+}
+
+/**
+ * The injection token of the widgets registered in every editor created by `CKEditorComponent`.
+ * Use `provideCKEditorWidget()` to register a widget.
+ */
+export const CKEDITOR_WIDGETS = new InjectionToken<CKEditorWidgetDefinition[]>( 'CKEDITOR_WIDGETS' );
+
+/**
+ * The injection token of the widget rendered by the component, see `CKEditorWidgetDefinition#component`.
+ */
+export const CKEDITOR_WIDGET = new InjectionToken<CKEditor4.Widget>( 'CKEDITOR_WIDGET' );
+
+/**
+ * Returns the provider registering the Angular component as a CKEditor 4 widget, e.g.:
+ *
+ *		providers: [ provideCKEditorWidget( { name: 'productCard', component: ProductCardComponent, button: 'Product card' } ) ]
+ *
+ * The widget is stored in the editor data as an element with the widget class and its data
+ * serialized to the `data-widget-data` attribute:
+ *
+ *		<div class="productCard" data-widget-data="{&quot;productId&quot;:5}"></div>
+ *
+ * Note that the component styles aren't available inside the iframe of the classic editor,
+ * so the `divarea` plugin or the inline editor should be used with widgets relying on them.
+ */
+export function provideCKEditorWidget<T>( definition: CKEditorWidgetDefinition<T> ): Provider {
+	return { provide: CKEDITOR_WIDGETS, useValue: definition, multi: true };
+}
+
+const DATA_ATTRIBUTE = 'data-widget-data';
+
+/**
+ * Adds the widgets to the editor. Must be called once the editor plugins are loaded.
+ */
+export function addWidgets( editor: CKEditor4.Editor, definitions: CKEditorWidgetDefinition[], injector: Injector ): void {
+	const componentRefs = new Set<ComponentRef<any>>();
+
+	definitions.forEach( definition => {
+		editor.widgets.add( definition.name, createWidgetDefinition( definition, injector, componentRefs ) );
+	} );
+
+	// Widgets are destroyed together with the editor contents, but make sure that no component is left behind.
+	editor.on( 'destroy', () => {
+		componentRefs.forEach( componentRef => componentRef.destroy() );
+	} );
+}
+
+function createWidgetDefinition(
+	definition: CKEditorWidgetDefinition,
+	injector: Injector,
+	componentRefs: Set<ComponentRef<any>>
+): CKEditor4.WidgetDefinition {
+	const ngZone = injector.get( NgZone );
+	const appRef = injector.get( ApplicationRef );
+	const environmentInjector = injector.get( EnvironmentInjector );
+	const tagName = definition.tagName || ( definition.inline ? 'span' : 'div' );
+	const className = definition.className || definition.name;
+	const mirror = reflectComponentType( definition.component );
+	const inputs = mirror ? mirror.inputs.map( input => input.templateName ) : [];
+
+	return {
+		inline: !!definition.inline,
+		button: definition.button,
+		template: `<${ tagName } class="${ className }"></${ tagName }>`,
+		defaults: definition.defaults,
+		allowedContent: `${ tagName }(!${ className })[${ DATA_ATTRIBUTE }]`,
+		requiredContent: `${ tagName }(${ className })`,
+
+		upcast: ( element, data ) => {
+			if ( element.name !== tagName || !element.hasClass( className ) ) {
+				return false;
+			}
+
+			Object.assign( data, parseData( element.attributes[ DATA_ATTRIBUTE ] ) );
+
+			return true;
+		},
+
+		downcast( element ) {
+			const data = pickInputs( this.data, inputs );
+
+			// The rendered component isn't a part of the editor data.
+			element.setHtml( '' );
+
+			if ( Object.keys( data ).length ) {
+				element.attributes[ DATA_ATTRIBUTE ] = JSON.stringify( data );
+			} else {
+				delete element.attributes[ DATA_ATTRIBUTE ];
+			}
+
+			return element;
+		},
+
+		init() {
+			const widget = this;
+			const element: HTMLElement = widget.element.$;
+			const hostElement = element.ownerDocument.createElement( definition.inline ? 'span' : 'div' );
+
+			element.innerHTML = '';
+			element.appendChild( hostElement );
+
+			const componentRef = ngZone.run( () => createComponent( definition.component, {
+				environmentInjector,
+				hostElement,
+				elementInjector: Injector.create( {
+					providers: [ { provide: CKEDITOR_WIDGET, useValue: widget } ],
+					parent: injector
+				} )
+			} ) );
+
+			componentRefs.add( componentRef );
+			appRef.attachView( componentRef.hostView );
+
+			widget.on( 'data', () => {
+				const data = pickInputs( widget.data, inputs );
+
+				ngZone.run( () => {
+					Object.keys( data ).forEach( input => componentRef.setInput( input, data[ input ] ) );
+				} );
+			} );
+
+			widget.on( 'destroy', () => {
+				componentRefs.delete( componentRef );
+				ngZone.run( () => componentRef.destroy() );
+			} );
+		}
+	};
+}
+
+function parseData( value: string | undefined ): { [ key: string ]: any } {
+	if ( !value ) {
+		return {};
+	}
+
+	try {
+		const data = JSON.parse( value );
+
+		return data && typeof data === 'object' ? data : {};
+	} catch ( err ) {
+		return {};
+	}
+}
+
+function pickInputs( data: { [ key: string ]: any }, inputs: string[] ): { [ key: string ]: any } {
+	return inputs.reduce( ( picked, input ) => {
+		if ( data[ input ] !== undefined ) {
+			picked[ input ] = data[ input ];
+		}
+
+		return picked;
+	}, {} as { [ key: string ]: any } );
+}
@@ -1,8 +1,8 @@
-import { CKEditorComponent } from './ckeditor/ckeditor.component';
+import { CKEditorBase } from './ckeditor/ckeditor.base';
 
 declare var CKEDITOR: any;
 
-export function whenEvent( evtName: string, component: CKEditorComponent ) {
+export function whenEvent( evtName: string, component: CKEditorBase ) {
 	return new Promise( res => {
 		component[ evtName ].subscribe( res );
 	} );